@@ -0,0 +1,33 @@
+// chart-patch.js - update_chart_data patches
+//
+// The server keeps every chart's config so reconnecting tabs can redraw it, and
+// public/index.html patches the live chart. Both merge with applyChartPatch (the
+// browser has its own copy) so the two stay in step.
+//
+
+/**
+ * Merge an update_chart_data patch into Chart.js data, in place.
+ * @param {{labels?: Array, datasets: object[]}} chartData - The chart config's data
+ * @param {object} patch - labels, datasets (matched by index, then label; others are added), append, maxPoints
+ */
+export function applyChartPatch(chartData, { labels, datasets = [], append = false, maxPoints }) {
+  if (labels) chartData.labels = append ? [...(chartData.labels ?? []), ...labels] : labels;
+
+  for (const { index, ...patch } of datasets) {
+    let target = index !== undefined
+      ? chartData.datasets[index]
+      : chartData.datasets.find(d => patch.label !== undefined && d.label === patch.label);
+    if (!target) {
+      target = { data: [] };
+      chartData.datasets.push(target);
+    }
+    const { data, ...props } = patch;
+    Object.assign(target, props);
+    if (data) target.data = append ? [...target.data, ...data] : data;
+  }
+
+  if (maxPoints) {
+    if (chartData.labels) chartData.labels = chartData.labels.slice(-maxPoints);
+    for (const dataset of chartData.datasets) dataset.data = dataset.data.slice(-maxPoints);
+  }
+}
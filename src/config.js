@@ -0,0 +1,188 @@
+// config.js - Server configuration
+//
+// Settings are read from imagine.config.js or imagine.config.json in the working directory (or
+// the file passed with --config), then environment variables override them. Relative paths are
+// resolved from the config file's directory, or from the working directory when set by env var.
+//
+import { z } from 'zod';
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+const CONFIG_FILES = ['imagine.config.js', 'imagine.config.json'];
+
+// API key scopes. "write" implies "read"; "*" grants everything.
+export const KEY_SCOPES = ['read', 'write', 'health', '*'];
+
+// HTML sanitization modes, least to most permissive
+export const SANITIZE_MODES = ['strict', 'allow-inline-styles', 'trusted'];
+
+const apiKeySchema = z.object({
+  name: z.string().min(1),
+  key: z.string().min(16),
+  scopes: z.array(z.enum(KEY_SCOPES)).min(1),
+  notBefore: z.coerce.date().optional(),
+  expiresAt: z.coerce.date().optional()
+});
+
+export const apiKeysFileSchema = z.object({
+  keys: z.array(apiKeySchema)
+});
+
+const ms = (fallback) => z.number().int().positive().default(fallback);
+
+const configSchema = z.object({
+  server: z.object({
+    port: z.number().int().min(0).max(65535).default(3000),
+    host: z.string().min(1).default('127.0.0.1'),
+    publicDir: z.string().default(path.join(ROOT, 'public')) // Browser UI (index.html) and static assets
+  }).strict().default({}),
+  auth: z.object({
+    apiKey: z.string().min(1).optional(), // Full-access key, named "default"
+    keysFile: z.string().refine(file => fs.existsSync(file), 'File not found').optional(), // Named keys with scopes; reloaded when the file changes
+    keys: z.array(apiKeySchema).default([]) // Same entries as keysFile, fixed at startup
+  }).strict().default({}),
+  timeouts: z.object({
+    ackMs: ms(5000), // Browser reply to a DOM update, query or chart
+    screenshotMs: ms(20000),
+    exportMs: ms(30000),
+    interactionWaitMs: ms(30000), // wait_for_interaction default
+    heartbeatMs: ms(30000), // Ping interval; sockets that miss a pong are dropped
+    httpMs: ms(10 * 60 * 1000) // HTTP request and keep-alive timeout
+  }).strict().default({}),
+  sanitizeMode: z.enum(SANITIZE_MODES).default('allow-inline-styles'), // The most permissive mode tools may ask for
+  tools: z.object({
+    enabled: z.array(z.string()).optional(), // Only these tools are offered (default: all)
+    disabled: z.array(z.string()).default([]),
+    dir: z.string().default(path.join(ROOT, 'tools')), // Tool plugins loaded at startup
+    plugins: z.array(z.string()).default([]) // More plugin modules: paths or package names
+  }).strict().default({}),
+  paths: z.object({
+    snapshotDir: z.string().optional(), // Persist UI history as JSON when set
+    exportDir: z.string().default(path.join(process.cwd(), 'exports')),
+    promptsDir: z.string().default(path.join(ROOT, 'prompts'))
+  }).strict().default({}),
+  websocket: z.object({
+    allowedOrigins: z.array(z.string()).default([]), // Default: pages served by this server, at localhost or HOST
+    strictSessions: z.boolean().default(false), // Tabs may not pick their own sessionId
+    tokenSecret: z.string().min(1).optional(), // Default: generated, kept in snapshotDir if set, else in ~/.imagine-with-claude
+    tokenTtlMs: ms(7 * 24 * 60 * 60 * 1000)
+  }).strict().default({})
+}).strict();
+
+const PATH_SETTINGS = [
+  ['server', 'publicDir'], ['auth', 'keysFile'], ['tools', 'dir'],
+  ['paths', 'snapshotDir'], ['paths', 'exportDir'], ['paths', 'promptsDir']
+];
+
+const list = (value) => value.split(',').map(v => v.trim()).filter(Boolean);
+
+// Env var -> setting it overrides, and how to read it
+const ENV_OVERRIDES = [
+  ['PORT', ['server', 'port'], Number],
+  ['HOST', ['server', 'host']],
+  ['PUBLIC_DIR', ['server', 'publicDir']],
+  ['MCP_API_KEY', ['auth', 'apiKey']],
+  ['MCP_KEYS_FILE', ['auth', 'keysFile']],
+  ['ACK_TIMEOUT_MS', ['timeouts', 'ackMs'], Number],
+  ['WS_HEARTBEAT_MS', ['timeouts', 'heartbeatMs'], Number],
+  ['SANITIZE_MODE', ['sanitizeMode']],
+  ['TOOLS_DIR', ['tools', 'dir']],
+  ['TOOL_PLUGINS', ['tools', 'plugins'], list],
+  ['DISABLED_TOOLS', ['tools', 'disabled'], list],
+  ['SNAPSHOT_DIR', ['paths', 'snapshotDir']],
+  ['EXPORT_DIR', ['paths', 'exportDir']],
+  ['PROMPTS_DIR', ['paths', 'promptsDir']],
+  ['WS_ALLOWED_ORIGINS', ['websocket', 'allowedOrigins'], list],
+  ['WS_STRICT_SESSIONS', ['websocket', 'strictSessions'], v => v === 'true'],
+  ['WS_TOKEN_SECRET', ['websocket', 'tokenSecret']]
+];
+
+function getSetting(settings, [section, key]) {
+  return key ? settings[section]?.[key] : settings[section];
+}
+
+function setSetting(settings, [section, key], value) {
+  if (!key) {
+    settings[section] = value;
+    return;
+  }
+  if (typeof settings[section] !== 'object' || settings[section] === null) settings[section] = {};
+  settings[section][key] = value;
+}
+
+// Relative paths (and plugin paths starting with ".") are taken from baseDir
+function resolvePaths(settings, baseDir) {
+  for (const setting of PATH_SETTINGS) {
+    const value = getSetting(settings, setting);
+    if (typeof value === 'string') setSetting(settings, setting, path.resolve(baseDir, value));
+  }
+  const plugins = getSetting(settings, ['tools', 'plugins']);
+  if (Array.isArray(plugins)) {
+    setSetting(settings, ['tools', 'plugins'], plugins.map(p => typeof p === 'string' && p.startsWith('.') ? path.resolve(baseDir, p) : p));
+  }
+}
+
+function findConfigFile(explicit) {
+  if (explicit) {
+    const file = path.resolve(explicit);
+    if (!fs.existsSync(file)) throw new Error(`Config file ${file} not found`);
+    return file;
+  }
+  return CONFIG_FILES.map(name => path.resolve(name)).find(file => fs.existsSync(file)) ?? null;
+}
+
+async function readConfigFile(file) {
+  if (file.endsWith('.json')) return JSON.parse(fs.readFileSync(file, 'utf8'));
+  const settings = (await import(pathToFileURL(file).href)).default;
+  if (typeof settings !== 'object' || settings === null) throw new Error('must export a settings object as default');
+  return settings;
+}
+
+/**
+ * Load, merge and validate the configuration.
+ * @param {string[]} argv - Command-line arguments (only --config / -c is accepted)
+ * @param {object} env - Environment variables
+ * @returns {Promise<object>} Validated settings, plus `file` (the config file used, or null)
+ * @throws {Error} If the config file is missing, unreadable or invalid
+ */
+export async function loadConfig(argv = process.argv.slice(2), env = process.env) {
+  const { values } = parseArgs({ args: argv, options: { config: { type: 'string', short: 'c' } } });
+  const file = findConfigFile(values.config);
+
+  let settings = {};
+  if (file) {
+    try {
+      settings = await readConfigFile(file);
+    } catch (e) {
+      throw new Error(`Failed to read ${file}: ${e.message}`);
+    }
+    resolvePaths(settings, path.dirname(file));
+  }
+
+  const overrides = {};
+  const sources = new Map(); // "section.key" -> env var, for error messages
+  for (const [name, setting, parse = v => v] of ENV_OVERRIDES) {
+    if (!env[name]) continue;
+    setSetting(overrides, setting, parse(env[name]));
+    sources.set(setting.join('.'), name);
+  }
+  resolvePaths(overrides, process.cwd());
+  for (const [section, value] of Object.entries(overrides)) {
+    settings[section] = typeof value === 'object' && !Array.isArray(value) ? { ...settings[section], ...value } : value;
+  }
+
+  const result = configSchema.safeParse(settings);
+  if (!result.success) {
+    const problems = result.error.issues.map(issue => {
+      const key = issue.path.join('.');
+      const envName = [...sources].find(([setting]) => key === setting || key.startsWith(`${setting}.`))?.[1];
+      const source = envName ? ` (from ${envName})` : '';
+      return `  ${key || '(root)'}${source}: ${issue.message}`;
+    });
+    throw new Error(`Invalid configuration${file ? ` in ${file}` : ''}:\n${problems.join('\n')}`);
+  }
+  return { ...result.data, file };
+}
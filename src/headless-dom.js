@@ -0,0 +1,191 @@
+// headless-dom.js - Server-side stand-in for a browser tab
+//
+// When no tab is connected, the MCP server renders into one of these instead so
+// update_ui and query_dom keep working. It mirrors public/index.html: the same
+// morphdom patching, DOMPurify profiles, #app / window-content targets and
+// query_dom element descriptions.
+//
+import { JSDOM } from 'jsdom';
+import createDOMPurify from 'dompurify';
+import fs from 'fs';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+// morphdom reads the global document when it loads, so it is evaluated inside each window
+const morphdomSource = fs.readFileSync(require.resolve('morphdom/dist/morphdom-umd.js'), 'utf8');
+
+// Keep in sync with SANITIZE_PROFILES in public/index.html
+const SANITIZE_PROFILES = {
+  'strict': { FORBID_TAGS: ['style'], FORBID_ATTR: ['style'] },
+  'allow-inline-styles': {}
+};
+
+function truncate(text, maxLength) {
+  if (text.length <= maxLength) return text;
+  return `${text.slice(0, maxLength)}... [truncated ${text.length - maxLength} chars]`;
+}
+
+export class HeadlessDom {
+  /**
+   * @param {string} html - #app markup to start from
+   * @param {Iterable<{id: string, html: string}>} windows - Floating windows and their content
+   */
+  constructor(html = '', windows = []) {
+    this.dom = new JSDOM('<!DOCTYPE html><div id="app"></div><div id="desktop"></div>', { runScripts: 'outside-only' });
+    this.window = this.dom.window;
+    this.window.eval(morphdomSource);
+    this.purify = createDOMPurify(this.window);
+
+    this.app = this.window.document.getElementById('app');
+    this.desktop = this.window.document.getElementById('desktop');
+    this.app.innerHTML = html;
+    this.syncWindows(windows);
+  }
+
+  // Match the window bodies to the server's layout; windows may have been opened or closed since
+  syncWindows(windows) {
+    const ids = new Set();
+    for (const { id, html } of windows) {
+      ids.add(id);
+      if (!this.window.document.getElementById(`window-${id}`)) {
+        const content = this.window.document.createElement('div');
+        content.className = 'window-content';
+        content.id = `window-${id}`;
+        content.setAttribute('data-window-content', '');
+        content.dataset.windowId = id;
+        content.innerHTML = html || '';
+        this.desktop.appendChild(content);
+      }
+    }
+    for (const content of [...this.desktop.children]) {
+      if (!ids.has(content.dataset.windowId)) content.remove();
+    }
+  }
+
+  findTarget(selector) {
+    if (selector === '#app') return this.app;
+    const target = this.window.document.querySelector(selector);
+    if (!target) throw new Error(`No element matches selector "${selector}"`);
+    return target;
+  }
+
+  sanitize(html, mode) {
+    if (mode === 'trusted') return { html, mode, removed: [] };
+    if (!SANITIZE_PROFILES[mode]) mode = 'strict';
+
+    const clean = this.purify.sanitize(html, SANITIZE_PROFILES[mode]);
+    const removed = new Set(this.purify.removed.map(entry => entry.attribute
+      ? `${entry.attribute.name} on <${entry.from.nodeName.toLowerCase()}>`
+      : `<${entry.element.nodeName.toLowerCase()}>`));
+    return { html: clean, mode, removed: [...removed] };
+  }
+
+  /**
+   * Apply an UPDATE_DOM message and answer the way the browser would.
+   * @returns {object} A DOM_UPDATED or DOM_UPDATE_FAILED ack (without requestId)
+   */
+  update({ selector, html, sanitize, childrenOnly }) {
+    let sanitized;
+    try {
+      const target = this.findTarget(selector);
+      sanitized = this.sanitize(html, sanitize);
+      const temp = this.window.document.createElement('div');
+      temp.innerHTML = sanitized.html;
+
+      if (childrenOnly || target === this.app || target.hasAttribute('data-window-content')) {
+        this.window.morphdom(target, temp, { childrenOnly: true });
+      } else {
+        if (!temp.firstElementChild) throw new Error('HTML has no element to replace the target with');
+        this.window.morphdom(target, temp.firstElementChild);
+      }
+    } catch (err) {
+      return {
+        type: 'DOM_UPDATE_FAILED',
+        selector,
+        error: err.message,
+        availableIds: [...this.app.querySelectorAll('[id]'), ...this.desktop.querySelectorAll('.window-content, .window-content [id]')]
+          .slice(0, 50).map(el => `#${el.id}`),
+        timestamp: Date.now()
+      };
+    }
+
+    return {
+      type: 'DOM_UPDATED',
+      htmlLength: this.app.innerHTML.length,
+      snapshot: this.app.innerHTML,
+      windows: this.windowSnapshots(),
+      sanitize: sanitized.mode,
+      removed: sanitized.removed,
+      timestamp: Date.now()
+    };
+  }
+
+  /**
+   * Answer a QUERY_DOM message.
+   * @returns {object} A DOM_QUERY_RESULT ack (without requestId)
+   */
+  query({ selector, limit, maxLength }) {
+    let result;
+    try {
+      const matches = selector === '#app' ? [this.app] : [...this.window.document.querySelectorAll(selector)];
+      result = {
+        matchCount: matches.length,
+        elements: matches.slice(0, limit).map(el => this.describeElement(el, maxLength))
+      };
+    } catch (err) {
+      result = { error: err.message };
+    }
+    return { type: 'DOM_QUERY_RESULT', ...result, timestamp: Date.now() };
+  }
+
+  windowSnapshots() {
+    const contents = {};
+    for (const content of this.desktop.children) contents[content.dataset.windowId] = content.innerHTML;
+    return contents;
+  }
+
+  readControlValue(el) {
+    const { HTMLInputElement, HTMLSelectElement, HTMLTextAreaElement } = this.window;
+    if (el instanceof HTMLInputElement) {
+      return el.type === 'checkbox' || el.type === 'radio' ? el.checked : el.value;
+    }
+    if (el instanceof HTMLSelectElement) {
+      return el.multiple ? [...el.selectedOptions].map(o => o.value) : el.value;
+    }
+    if (el instanceof HTMLTextAreaElement) return el.value;
+    return undefined;
+  }
+
+  describeElement(el, maxLength) {
+    const attributes = {};
+    for (const attr of el.attributes) attributes[attr.name] = attr.value;
+
+    const info = {
+      tag: el.tagName,
+      attributes,
+      outerHTML: truncate(el.outerHTML, maxLength),
+      // jsdom has no layout, so no innerText
+      text: truncate(el.textContent, maxLength)
+    };
+
+    const value = this.readControlValue(el);
+    if (value !== undefined) info.value = value;
+
+    const controls = [...el.querySelectorAll('input, select, textarea')].slice(0, 100);
+    if (controls.length > 0) {
+      info.controls = controls.map(control => ({
+        tag: control.tagName,
+        type: control.type,
+        id: control.id || undefined,
+        name: control.name || undefined,
+        value: this.readControlValue(control)
+      }));
+    }
+
+    return info;
+  }
+
+  close() {
+    this.window.close();
+  }
+}
@@ -3,188 +3,2135 @@
 // This server runs independently and Claude CLI connects to it via HTTP.
 // No spawning - just connect to http://localhost:3000/mcp
 //
-import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { McpServer, ResourceTemplate } from "@modelcontextprotocol/sdk/server/mcp.js";
 import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
-import { isInitializeRequest } from "@modelcontextprotocol/sdk/types.js";
+import { isInitializeRequest, McpError, ErrorCode, SubscribeRequestSchema, UnsubscribeRequestSchema } from "@modelcontextprotocol/sdk/types.js";
 import { z } from "zod";
 import { WebSocketServer } from 'ws';
 import express from 'express';
 import http from 'http';
+import fs from 'fs';
 import path from 'path';
-import { fileURLToPath } from 'url';
-import { randomUUID } from 'crypto';
+import os from 'os';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { randomUUID, randomBytes, createHmac, createHash, timingSafeEqual } from 'crypto';
+import zlib from 'zlib';
+import QRCode from 'qrcode';
+import { HeadlessDom } from './headless-dom.js';
+import { applyChartPatch } from './chart-patch.js';
+import { loadConfig, SANITIZE_MODES, apiKeysFileSchema } from './config.js';
 
-// Configuration
-const PORT = process.env.PORT || 3000;
-const HOST = process.env.HOST || '127.0.0.1';
-const API_KEY = process.env.MCP_API_KEY || null;
+// Configuration: imagine.config.js/.json (or --config <file>), overridden by env vars; see config.js
+let config;
+try {
+  config = await loadConfig();
+} catch (e) {
+  console.error(e.message);
+  process.exit(1);
+}
+if (config.file) console.log(`Loaded configuration from ${config.file}`);
+
+const PORT = config.server.port;
+const HOST = config.server.host;
+const PUBLIC_DIR = config.server.publicDir;
+const API_KEY = config.auth.apiKey ?? null;
+const MCP_KEYS_FILE = config.auth.keysFile ?? null; // Named API keys with scopes; reloaded when the file changes
+const SNAPSHOT_DIR = config.paths.snapshotDir ?? null; // Persist UI history as JSON when set
+const EXPORT_DIR = config.paths.exportDir; // Where export_ui writes files
+const PROMPTS_DIR = config.paths.promptsDir; // Workflow prompts offered to MCP clients
+const TOOLS_DIR = config.tools.dir; // Tool plugins loaded at startup
+const TOOL_PLUGINS = config.tools.plugins; // More plugin modules: absolute paths or package names
+const ACK_TIMEOUT_MS = config.timeouts.ackMs;
+const SCREENSHOT_TIMEOUT_MS = config.timeouts.screenshotMs; // Rasterizing a large page takes longer than a DOM patch
+const EXPORT_TIMEOUT_MS = config.timeouts.exportMs;
+const INTERACTION_WAIT_MS = config.timeouts.interactionWaitMs;
+const HTTP_TIMEOUT_MS = config.timeouts.httpMs;
+const WS_HEARTBEAT_MS = config.timeouts.heartbeatMs; // Ping interval; sockets that miss a pong are dropped
+const MAX_UI_VERSIONS = 50; // Oldest versions are dropped past this
+const RECENT_INTERACTIONS_MAX = 50; // Per session, served by the interactions resource
+const RECENT_THOUGHTS_MAX = 100; // Per session, served by the thoughts resource
+const OUTBOX_MAX_MESSAGES = 100; // Per offline session; the oldest are dropped past this
+const OUTBOX_TTL_MS = 10 * 60 * 1000; // Queued messages older than this are not delivered
+const KNOWN_SESSIONS_MAX = 1000; // Least recently connected sessions past this are forgotten, with their outboxes
+const STREAM_IDLE_TTL_MS = 10 * 60 * 1000; // Streams with no chunk or end for this long are dropped
+const HEADLESS_DOMS_MAX = 20; // Least recently used server-side DOMs are closed past this (and rebuilt when needed)
+
+// Browser socket authentication. Tabs get a signed token for their sessionId and must show it to
+// resume that session. In strict mode a tab may not pick its own sessionId at all.
+const WS_STRICT_SESSIONS = config.websocket.strictSessions;
+const WS_ALLOWED_ORIGINS = config.websocket.allowedOrigins; // Default: pages served by this server (SERVER_HOSTNAMES)
+const SERVER_HOSTNAMES = serverHostnames(); // Hosts the UI may be loaded from when WS_ALLOWED_ORIGINS is empty
+const WS_TOKEN_TTL_MS = config.websocket.tokenTtlMs;
+const WS_TOKEN_SECRET = config.websocket.tokenSecret || loadTokenSecret();
+
+// HTML sanitization modes (SANITIZE_MODES) go from least to most permissive. SANITIZE_MODE is the
+// most permissive mode the operator allows; tools may only ask for a stricter one.
+const SANITIZE_MODE = config.sanitizeMode;
+
+// Browser replies that settle a pending request (matched by requestId)
+const ACK_TYPES = new Set(['DOM_UPDATED', 'DOM_UPDATE_FAILED', 'DOM_QUERY_RESULT', 'CHART_RENDERED', 'SCREENSHOT_RESULT', 'EXPORT_RESULT', 'PLUGIN_RESULT']);
+
+// Messages a reconnecting tab gets rebuilt from server state (or that a headless render replaces),
+// so queueing them for an offline session would only replay stale copies
+const UNQUEUED_TYPES = new Set([
+  'UPDATE_DOM', 'HISTORY', 'WINDOW_UPDATE', 'WINDOW_CLOSE', 'WINDOW_STATE',
+  'RENDER_CHART', 'UPDATE_CHART_DATA', 'STREAM_START', 'STREAM_APPEND', 'STREAM_END'
+]);
+
+// Tools an observer ("read" scope) may call; every other tool needs "write". Read-only plugins are
+// added when they load.
+const READ_ONLY_TOOLS = new Set(['query_dom', 'get_ui_snapshot', 'get_ui_history', 'capture_screenshot']);
+
+// A tool plugin module's default export is one of these, or an array of them
+const toolPluginSchema = z.object({
+  name: z.string().regex(/^[A-Za-z0-9_-]{1,64}$/),
+  description: z.string().min(1),
+  schema: z.record(z.any()).default({}), // zod shape of the arguments, as for server.tool
+  handler: z.custom(v => typeof v === 'function', 'handler must be a function'), // (args, context, extra) -> tool result or text
+  readOnly: z.boolean().default(false), // Callable with a "read" API key
+  browser: z.string().optional() // Browser script, relative to the module
+});
+
+// A window the user dragged, resized, focused or minimized (WINDOW_CHANGED), held to the same bounds as window_new
+const windowChangeSchema = z.object({
+  id: z.string(),
+  x: z.number().int(),
+  y: z.number().int(),
+  width: z.number().int().min(120),
+  height: z.number().int().min(80),
+  minimized: z.boolean().default(false),
+  z: z.number().int().min(0)
+});
+
+// JSON front matter of a prompt file in PROMPTS_DIR
+const promptFrontMatterSchema = z.object({
+  description: z.string().min(1),
+  arguments: z.array(z.object({
+    name: z.string().regex(/^[A-Za-z_]\w*$/),
+    description: z.string().optional(),
+    required: z.boolean().default(false)
+  })).default([])
+});
+
+// Key for listeners that accept interactions from any browser session
+const ANY_SESSION = '*';
+const CLIENTS_URI = 'imagine://clients';
+const HEADLESS_SESSION = 'headless'; // Renders made with no tab open and no session named; the next new tab adopts them
+
+// State
+const browserSockets = new Map(); // sessionId -> ws
+const knownSessions = new Set(); // browser sessionIds that have connected since startup, least recent first
+const outboxes = new Map(); // browser sessionId -> [{ message, queuedAt }] awaiting reconnect
+const transports = {}; // sessionId -> transport
+const transportOwners = new Map(); // MCP sessionId -> name of the API key that opened it
+const interactionQueues = new Map(); // sessionId -> queue of user interactions
+const interactionListeners = new Map(); // sessionId (or ANY_SESSION) -> listeners waiting for interactions
+const recentInteractions = new Map(); // sessionId -> latest interactions, consumed or not
+const thoughtLogs = new Map(); // browser sessionId -> latest log_thought messages
+const resourceSubscribers = new Map(); // resource URI -> Set of McpServers subscribed to it
+const pendingUpdates = new Map(); // requestId -> resolve function
+const pairingCodes = new Map(); // browser sessionId -> pairing code shown in the sidebar
+const sessionBindings = new Map(); // MCP session id -> browser sessionId
+const activeStreams = new Map(); // streamId -> { sessionId, selector, html, sanitize, headless, expiry }
+const uiHistory = new Map(); // browser sessionId -> { versions: [{ version, html, updatedAt }], index, nextVersion }
+const windowLayouts = new Map(); // browser sessionId -> Map(windowId -> { id, title, x, y, width, height, minimized, z, html })
+const sessionCharts = new Map(); // browser sessionId -> Map(chartId -> { selector, config })
+const snapshotWrites = new Map(); // browser sessionId -> { dirty } while its snapshot file is being written
+const headlessDoms = new Map(); // browser sessionId -> HeadlessDom, while that session has no tab connected
+
+// Only ids that are safe as file names get persisted
+const PERSISTABLE_SESSION_ID = /^[A-Za-z0-9_-]{1,128}$/;
+
+// Load persisted history so a server restart doesn't lose rendered UIs
+if (SNAPSHOT_DIR) {
+  fs.mkdirSync(SNAPSHOT_DIR, { recursive: true });
+  for (const file of fs.readdirSync(SNAPSHOT_DIR)) {
+    if (!file.endsWith('.json')) continue;
+    try {
+      const saved = JSON.parse(fs.readFileSync(path.join(SNAPSHOT_DIR, file), 'utf8'));
+      const sessionId = path.basename(file, '.json');
+      // Files written before history existed hold a single snapshot
+      const versions = saved.versions || (saved.html !== undefined ? [{ version: 1, html: saved.html, updatedAt: saved.updatedAt }] : []);
+      if (versions.length > 0) {
+        uiHistory.set(sessionId, {
+          versions,
+          index: saved.index ?? versions.length - 1,
+          nextVersion: versions[versions.length - 1].version + 1
+        });
+      }
+      if (saved.windows?.length > 0) {
+        windowLayouts.set(sessionId, new Map(saved.windows.map(w => [w.id, w])));
+      }
+      if (saved.charts) {
+        sessionCharts.set(sessionId, new Map(Object.entries(saved.charts)));
+      }
+    } catch (e) {
+      console.error(`Skipping unreadable snapshot ${file}:`, e.message);
+    }
+  }
+  console.log(`Loaded UI history for ${uiHistory.size} session(s) and windows for ${windowLayouts.size} from ${SNAPSHOT_DIR}`);
+}
+
+// Keys accepted on /mcp: MCP_API_KEY (full access, named "default"), the config's auth.keys and those
+// in MCP_KEYS_FILE. Any number can be valid at once, so a key is rotated by adding its successor
+// before removing it.
+const AUTH_ENABLED = Boolean(API_KEY || MCP_KEYS_FILE || config.auth.keys.length > 0);
+let apiKeys;
+try {
+  apiKeys = loadApiKeys();
+} catch (e) {
+  console.error(`Invalid configuration: cannot load API keys from ${MCP_KEYS_FILE}:\n${e.message}`);
+  process.exit(1);
+}
+if (MCP_KEYS_FILE) {
+  fs.watchFile(MCP_KEYS_FILE, { interval: 2000 }, () => {
+    try {
+      apiKeys = loadApiKeys();
+      console.log(`Reloaded ${apiKeys.length} API key(s) from ${MCP_KEYS_FILE}`);
+    } catch (e) {
+      console.error(`Keeping the previous API keys; ${MCP_KEYS_FILE} is invalid:`, e.message);
+    }
+  }).unref();
+}
+
+function loadApiKeys() {
+  const keys = [];
+  if (API_KEY) keys.push({ name: 'default', key: API_KEY, scopes: ['*'] });
+  keys.push(...config.auth.keys);
+  if (MCP_KEYS_FILE) {
+    keys.push(...apiKeysFileSchema.parse(JSON.parse(fs.readFileSync(MCP_KEYS_FILE, 'utf8'))).keys);
+  }
+  return keys.map(({ key, ...rest }) => ({ ...rest, digest: digestKey(key) }));
+}
+
+// Hashing first gives timingSafeEqual equal-length inputs and keeps raw keys out of memory
+function digestKey(key) {
+  return createHash('sha256').update(key).digest();
+}
+
+// The key presented as a Bearer token, if it is valid right now
+function findApiKey(req) {
+  const match = /^Bearer (.+)$/.exec(req.headers['authorization'] || '');
+  if (!match) return null;
+  const digest = digestKey(match[1]);
+  const now = new Date();
+  return apiKeys.find(k => timingSafeEqual(k.digest, digest)
+    && !(k.notBefore && k.notBefore > now)
+    && !(k.expiresAt && k.expiresAt <= now)) || null;
+}
+
+function hasScope(scopes, scope) {
+  return scopes.includes('*') || scopes.includes(scope) || (scope === 'read' && scopes.includes('write'));
+}
+
+function sendJsonRpcError(res, status, message, id = null) {
+  if (status === 401) res.set('WWW-Authenticate', 'Bearer');
+  res.status(status).json({
+    jsonrpc: '2.0',
+    error: { code: -32000, message },
+    id
+  });
+}
+
+// Shared by every /mcp verb: a valid key, the same key name that opened the MCP session,
+// and the scope each tool call needs
+function mcpAuth(req, res, next) {
+  if (!AUTH_ENABLED) return next();
+
+  const key = findApiKey(req);
+  if (!key || !hasScope(key.scopes, 'read')) {
+    console.log(`MCP Auth failed (${req.method})`);
+    sendJsonRpcError(res, 401, 'Unauthorized');
+    return;
+  }
+
+  const sessionId = req.headers['mcp-session-id'];
+  const owner = sessionId && transportOwners.get(sessionId);
+  if (owner && owner !== key.name) {
+    sendJsonRpcError(res, 403, 'Forbidden: this MCP session was opened with another API key');
+    return;
+  }
+
+  if (req.method === 'POST') {
+    for (const message of [].concat(req.body ?? [])) {
+      const tool = message?.method === 'tools/call' ? message.params?.name : null;
+      const scope = READ_ONLY_TOOLS.has(tool) ? 'read' : 'write';
+      if (tool && !hasScope(key.scopes, scope)) {
+        sendJsonRpcError(res, 403, `Forbidden: API key "${key.name}" lacks the "${scope}" scope needed for ${tool}`, message.id ?? null);
+        return;
+      }
+    }
+  }
+
+  // Handed to tool handlers by the transport as extra.authInfo
+  req.auth = { token: req.headers['authorization'].slice('Bearer '.length), clientId: key.name, scopes: key.scopes };
+  next();
+}
+
+// Each <name>.md in PROMPTS_DIR is a prompt: JSON front matter between "---" lines, then the
+// message text. Invalid files are skipped so one typo doesn't take the others down.
+const prompts = loadPrompts();
+
+function loadPrompts() {
+  let files;
+  try {
+    files = fs.readdirSync(PROMPTS_DIR).filter(f => f.endsWith('.md')).sort();
+  } catch (e) {
+    if (e.code !== 'ENOENT') console.error(`Failed to read prompts from ${PROMPTS_DIR}:`, e.message);
+    return [];
+  }
+
+  const loaded = [];
+  for (const file of files) {
+    try {
+      const match = /^---\r?\n([\s\S]*?)\r?\n---\r?\n([\s\S]*)$/.exec(fs.readFileSync(path.join(PROMPTS_DIR, file), 'utf8'));
+      if (!match) throw new Error('missing front matter');
+      const meta = promptFrontMatterSchema.parse(JSON.parse(match[1]));
+      loaded.push({ name: path.basename(file, '.md'), ...meta, template: match[2].trim() });
+    } catch (e) {
+      console.error(`Skipping prompt ${file}:`, e.message);
+    }
+  }
+  console.log(`Loaded ${loaded.length} prompt(s) from ${PROMPTS_DIR}`);
+  return loaded;
+}
+
+// {{name}} is replaced by the argument (empty if not given); {{#name}}...{{/name}} is kept only
+// when the argument is given
+function renderPrompt(template, args) {
+  return template
+    .replace(/\{\{#(\w+)\}\}([\s\S]*?)\{\{\/\1\}\}/g, (_, name, section) => args[name] ? section : '')
+    .replace(/\{\{(\w+)\}\}/g, (_, name) => args[name] ?? '')
+    .replace(/\n{3,}/g, '\n\n');
+}
+
+// Tool plugins: each .js module in TOOLS_DIR (except *.browser.js) plus those in TOOL_PLUGINS.
+// Like prompts, a plugin that fails to load is skipped. They are loaded just before the server
+// starts (see the end of this file), once createMcpServer can be called to list the built-in tools.
+async function loadToolPlugins() {
+  const builtInTools = builtInToolNames();
+  const specs = [];
+  try {
+    for (const file of fs.readdirSync(TOOLS_DIR).sort()) {
+      if (/\.m?js$/.test(file) && !/\.browser\.m?js$/.test(file)) specs.push(path.join(TOOLS_DIR, file));
+    }
+  } catch (e) {
+    if (e.code !== 'ENOENT') console.error(`Failed to read tool plugins from ${TOOLS_DIR}:`, e.message);
+  }
+  specs.push(...TOOL_PLUGINS);
+
+  const loaded = [];
+  for (const spec of specs) {
+    try {
+      const url = path.isAbsolute(spec) ? pathToFileURL(spec).href : import.meta.resolve(spec);
+      const plugins = [].concat((await import(url)).default).map(definition => toolPluginSchema.parse(definition));
+      for (const plugin of plugins) {
+        if (builtInTools.has(plugin.name)) throw new Error(`tool "${plugin.name}" is a built-in tool`);
+        if (loaded.some(p => p.name === plugin.name)) throw new Error(`tool "${plugin.name}" is defined twice`);
+        if (plugin.browser) {
+          plugin.browser = fileURLToPath(new URL(plugin.browser, url));
+          if (!fs.existsSync(plugin.browser)) throw new Error(`browser script ${plugin.browser} not found`);
+        }
+      }
+      loaded.push(...plugins);
+    } catch (e) {
+      console.error(`Skipping tool plugin ${spec}:`, e.message);
+    }
+  }
+  for (const plugin of loaded) {
+    if (plugin.readOnly) READ_ONLY_TOOLS.add(plugin.name);
+  }
+  if (loaded.length > 0) console.log(`Loaded tool plugins: ${loaded.map(p => p.name).join(', ')}`);
+  return loaded;
+}
+
+// Names of the tools createMcpServer registers itself, enabled or not, read off one built without plugins
+function builtInToolNames() {
+  const names = new Set();
+  createMcpServer({ plugins: [], onTool: name => names.add(name) });
+  return names;
+}
+
+// Second argument of every plugin handler
+const pluginContext = {
+  z,
+  // (sessionId, extra) -> the browser sessionId a call targets: the one passed, else the attached one, else null (all tabs)
+  resolveSession: resolveBrowserSession,
+  // Same, but falls back to the only connected tab; null if there are none or several
+  resolveSingleSession: resolveSingleBrowserSession,
+  connectedSessions: () => [...browserSockets.keys()],
+  // (message, sessionId?) -> true, 'queued' (tab offline, delivered on reconnect) or false
+  broadcast: broadcastToBrowser,
+  waitForAck,
+  // Send a message to a connected tab and wait for its plugin script's imagine.reply()
+  async request(sessionId, message, timeoutMs = ACK_TIMEOUT_MS) {
+    const ws = browserSockets.get(sessionId);
+    if (!ws || ws.readyState !== 1) throw new Error(`Browser session ${sessionId} is not connected`);
+    const requestId = randomUUID();
+    ws.send(JSON.stringify({ ...message, requestId }));
+    return waitForAck(requestId, timeoutMs);
+  },
+  currentHtml: (sessionId) => currentSnapshot(sessionId)?.html ?? null
+};
+
+// Setup Express
+const app = express();
+
+app.use(express.json());
+app.use(express.static(PUBLIC_DIR));
+
+// Serve index.html
+app.get('/', (req, res) => {
+  res.sendFile(path.join(PUBLIC_DIR, 'index.html'));
+});
+
+// Browser libraries come from node_modules rather than a CDN, so the versions that run (and the
+// policy the sanitizer enforces) are the ones in package-lock.json
+const VENDOR_SCRIPTS = {
+  'purify.min.js': import.meta.resolve('dompurify/dist/purify.min.js'),
+  // chart.js only exports its ES modules; the UMD build sits next to them
+  'chart.umd.min.js': new URL('chart.umd.min.js', import.meta.resolve('chart.js')).href,
+  'html2canvas.min.js': import.meta.resolve('html2canvas/dist/html2canvas.min.js'),
+  'jspdf.umd.min.js': import.meta.resolve('jspdf/dist/jspdf.umd.min.js')
+};
+app.get('/vendor/:file', (req, res) => {
+  if (!Object.hasOwn(VENDOR_SCRIPTS, req.params.file)) {
+    res.status(404).end();
+    return;
+  }
+  res.sendFile(fileURLToPath(VENDOR_SCRIPTS[req.params.file]));
+});
+
+// Browser scripts of tool plugins, imported by index.html before it connects
+app.get('/plugins', (req, res) => {
+  res.json({ scripts: toolPlugins.filter(p => p.browser && isToolEnabled(p.name)).map(p => `/plugins/${p.name}.js`) });
+});
+
+app.get('/plugins/:file', (req, res) => {
+  const plugin = toolPlugins.find(p => p.browser && isToolEnabled(p.name) && `${p.name}.js` === req.params.file);
+  if (!plugin) {
+    res.status(404).end();
+    return;
+  }
+  res.sendFile(plugin.browser);
+});
+
+// Create HTTP Server
+const httpServer = http.createServer(app);
+httpServer.timeout = HTTP_TIMEOUT_MS;
+httpServer.keepAliveTimeout = HTTP_TIMEOUT_MS;
+
+// WebSocket Server for Browser
+const wss = new WebSocketServer({ server: httpServer });
+
+// A tab that vanished without a close frame (sleep, network drop) would otherwise stay in
+// browserSockets until TCP gives up. Each round, sockets that didn't answer the last ping are terminated.
+const heartbeat = setInterval(() => {
+  for (const ws of wss.clients) {
+    if (!ws.isAlive) {
+      console.log('Terminating unresponsive browser socket');
+      ws.terminate();
+      continue;
+    }
+    ws.isAlive = false;
+    ws.ping();
+  }
+  pruneOutboxes();
+}, WS_HEARTBEAT_MS);
+heartbeat.unref();
+wss.on('close', () => clearInterval(heartbeat));
+
+wss.on('connection', (ws, req) => {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const requestedId = url.searchParams.get('sessionId');
+
+  // Close codes 4403/4401 tell the page not to retry / to start a new session
+  const origin = req.headers.origin;
+  if (origin && !isAllowedOrigin(origin)) {
+    console.warn(`Rejected browser connection from origin ${origin}`);
+    ws.close(4403, 'Origin not allowed');
+    return;
+  }
+  const rejection = checkSessionClaim(requestedId, url.searchParams.get('token'));
+  if (rejection) {
+    console.warn(`Rejected browser connection for session ${requestedId}: ${rejection}`);
+    ws.close(4401, rejection);
+    return;
+  }
+  const sessionId = requestedId || randomUUID();
+
+  console.log(`Browser connected: ${sessionId}`);
+  ws.isAlive = true;
+  ws.on('pong', () => { ws.isAlive = true; });
+  ws.client = {
+    connectedAt: new Date().toISOString(),
+    userAgent: req.headers['user-agent'] ?? null,
+    origin: origin ?? null,
+    address: req.socket.remoteAddress ?? null
+  };
+  browserSockets.set(sessionId, ws);
+  rememberSession(sessionId);
+  notifyResourceUpdated(CLIENTS_URI);
+  notifySessionResources(sessionId, 'client');
+  const pairingCode = createPairingCode(sessionId);
+
+  // Send session ID back to browser
+  ws.send(JSON.stringify({ type: 'SESSION_INIT', sessionId, pairingCode, token: createSessionToken(sessionId) }));
+
+  // The tab takes over from the server-side DOM, and a brand-new tab picks up what was rendered while none was open
+  discardHeadlessDom(sessionId);
+  if (sessionId !== HEADLESS_SESSION && !hasRenderedState(sessionId) && hasRenderedState(HEADLESS_SESSION)) {
+    adoptHeadlessSession(sessionId);
+  }
+  // Before the state replay below, so anything stale in the outbox is overwritten by it
+  flushOutbox(sessionId, ws);
+
+  // A reloaded tab gets back what was last rendered in it
+  const snapshot = currentSnapshot(sessionId);
+  if (snapshot) {
+    ws.send(JSON.stringify({ type: 'UPDATE_DOM', selector: '#app', html: snapshot.html, sanitize: SANITIZE_MODE, restored: true }));
+    ws.send(JSON.stringify({ type: 'HISTORY', ...historySummary(sessionId) }));
+  }
+  const layout = windowLayouts.get(sessionId);
+  if (layout) {
+    ws.send(JSON.stringify({ type: 'WINDOW_STATE', windows: [...layout.values()], sanitize: SANITIZE_MODE }));
+  }
+  // Canvases don't survive in the markup, so redraw charts from their configs
+  for (const [chartId, chart] of sessionCharts.get(sessionId) ?? []) {
+    ws.send(JSON.stringify({ type: 'RENDER_CHART', chartId, selector: chart.selector, config: chart.config }));
+  }
+
+  ws.on('close', () => {
+    console.log(`Browser disconnected: ${sessionId}`);
+    // Only forget the session if it wasn't taken over by a newer socket (e.g. a reload)
+    if (browserSockets.get(sessionId) === ws) {
+      browserSockets.delete(sessionId);
+      pairingCodes.delete(sessionId);
+      notifyResourceUpdated(CLIENTS_URI);
+      notifySessionResources(sessionId, 'client');
+    }
+  });
+
+  ws.on('message', (data) => {
+    try {
+      const msg = JSON.parse(data.toString());
+      // Always tag with the connection's sessionId so a tab can't post into another session's queue
+      msg.sessionId = sessionId;
+
+      if (msg.type === 'USER_INTERACTION') {
+        console.log('Received user interaction:', msg);
+        enqueueInteraction(sessionId, msg);
+      } else if (msg.type === 'HISTORY_COMMAND') {
+        handleHistoryCommand(sessionId, msg);
+      } else if (msg.type === 'EXPORT_COMMAND') {
+        // Sidebar export button; the result goes back to the tab as a log line
+        exportSession(sessionId, msg.format).then(result => {
+          broadcastToBrowser({ type: 'LOG', message: result.error ? `Export failed: ${result.error}` : `Exported to ${result.file}` }, sessionId);
+        }).catch(e => {
+          console.error(`Export for ${sessionId} failed:`, e);
+          broadcastToBrowser({ type: 'LOG', message: `Export failed: ${e.message}` }, sessionId);
+        });
+      } else if (msg.type === 'WINDOW_CHANGED') {
+        // The user dragged, resized, focused or minimized a window
+        const change = windowChangeSchema.safeParse(msg.window);
+        const current = change.success && windowLayouts.get(sessionId)?.get(change.data.id);
+        if (!change.success) {
+          console.warn(`Ignoring invalid WINDOW_CHANGED from ${sessionId}:`, change.error.issues.map(i => `${i.path.join('.') || 'window'}: ${i.message}`).join('; '));
+        } else if (current) {
+          const { id, ...geometry } = change.data;
+          Object.assign(current, geometry);
+          persistSession(sessionId);
+        }
+      } else if (msg.type === 'WINDOW_CLOSED') {
+        if (windowLayouts.get(sessionId)?.delete(msg.id)) {
+          persistSession(sessionId);
+          enqueueInteraction(sessionId, { type: 'USER_INTERACTION', eventType: 'window-close', windowId: msg.id, sessionId, timestamp: Date.now() });
+        }
+      } else if (ACK_TYPES.has(msg.type)) {
+        console.log(`Received ${msg.type} ack:`, msg.requestId);
+        recordRender(sessionId, msg);
+        if (pendingUpdates.has(msg.requestId)) {
+          const resolve = pendingUpdates.get(msg.requestId);
+          pendingUpdates.delete(msg.requestId);
+          resolve(msg);
+        }
+      }
+    } catch (e) {
+      console.error('Error parsing WebSocket message:', e);
+    }
+  });
+
+  ws.on('error', (err) => {
+    console.error("WebSocket error:", err.message);
+  });
+});
+
+// A generated secret would invalidate every tab's token on restart, so keep it next to the
+// snapshots that outlive the process, or in the user's home directory
+function loadTokenSecret() {
+  const dir = SNAPSHOT_DIR ?? path.join(os.homedir(), '.imagine-with-claude');
+  const file = path.join(dir, '.ws-token-secret');
+  try {
+    return fs.readFileSync(file, 'utf8').trim();
+  } catch {
+    const secret = randomBytes(32).toString('hex');
+    try {
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(file, secret, { mode: 0o600 });
+    } catch (e) {
+      console.warn(`Could not save the session token secret to ${file} (${e.message}); tabs will need new sessions after a restart`);
+    }
+    return secret;
+  }
+}
+
+function signSession(sessionId, expires) {
+  return createHmac('sha256', WS_TOKEN_SECRET).update(`${sessionId}.${expires}`).digest('base64url');
+}
+
+function createSessionToken(sessionId) {
+  const expires = Date.now() + WS_TOKEN_TTL_MS;
+  return `${expires}.${signSession(sessionId, expires)}`;
+}
+
+function verifySessionToken(sessionId, token) {
+  const [expires, signature] = token.split('.');
+  if (!signature || !(Number(expires) > Date.now())) return false;
+  const expected = Buffer.from(signSession(sessionId, expires));
+  const actual = Buffer.from(signature);
+  return expected.length === actual.length && timingSafeEqual(expected, actual);
+}
+
+// localhost, plus HOST, or every local address when HOST binds them all. IPv6 ones are bracketed
+// as URL.hostname reports them.
+function serverHostnames() {
+  const wildcard = HOST === '0.0.0.0' || HOST === '::';
+  const addresses = wildcard
+    ? Object.values(os.networkInterfaces()).flat().map(iface => iface.address)
+    : [HOST];
+  return new Set(['localhost', '127.0.0.1', '[::1]', ...addresses.map(a => a.includes(':') ? `[${a.split('%')[0]}]` : a.toLowerCase())]);
+}
+
+// By default only pages this server serves may connect: http on its port, at the address it listens
+// on or localhost. The request's Host header can't decide this, since a DNS-rebinding page sets it too.
+function isAllowedOrigin(origin) {
+  if (WS_ALLOWED_ORIGINS.length > 0) return WS_ALLOWED_ORIGINS.includes(origin);
+  let url;
+  try {
+    url = new URL(origin);
+  } catch {
+    return false;
+  }
+  const port = String(httpServer.address()?.port ?? PORT);
+  return url.protocol === 'http:' && (url.port || '80') === port && SERVER_HOSTNAMES.has(url.hostname);
+}
+
+function sessionHasState(sessionId) {
+  return browserSockets.has(sessionId) || knownSessions.has(sessionId) || uiHistory.has(sessionId)
+    || windowLayouts.has(sessionId) || sessionCharts.has(sessionId) || interactionQueues.has(sessionId);
+}
+
+// Why a tab may not use the sessionId it asked for, or null if it may. Without a valid token
+// a tab can only start a session nobody has used yet, and in strict mode not even that. A token
+// that fails the check counts as none, so a tab whose token predates the secret still gets its
+// sessionId back unless someone else has used it since.
+function checkSessionClaim(sessionId, token) {
+  if (!sessionId) return null;
+  if (token && verifySessionToken(sessionId, token)) return null;
+  if (WS_STRICT_SESSIONS) return token ? 'Invalid or expired session token' : 'Unknown session';
+  if (sessionHasState(sessionId)) return token ? 'Invalid or expired session token' : 'Session token required';
+  return null;
+}
+
+// Keep the server's copy of a session's UI in step with what a tab (or the headless DOM) rendered
+function recordRender(sessionId, ack) {
+  if (ack.type !== 'DOM_UPDATED') return;
+  // Re-rendering an old version isn't a new version
+  if (typeof ack.snapshot === 'string' && !ack.restored) {
+    recordVersion(sessionId, ack.snapshot);
+  }
+  if (ack.windows) {
+    saveWindowContents(sessionId, ack.windows);
+  }
+}
+
+// The version a session is currently showing
+function currentSnapshot(sessionId) {
+  const history = uiHistory.get(sessionId);
+  return history ? history.versions[history.index] : null;
+}
+
+// Record the #app markup a browser reported after an update as a new version.
+// Anything that was undone is dropped, like in an editor.
+function recordVersion(sessionId, html) {
+  if (!uiHistory.has(sessionId)) uiHistory.set(sessionId, { versions: [], index: -1, nextVersion: 1 });
+  const history = uiHistory.get(sessionId);
+  // Updates that only touched windows leave #app unchanged
+  if (history.versions[history.index]?.html === html) return;
+
+  history.versions.splice(history.index + 1);
+  history.versions.push({ version: history.nextVersion++, html, updatedAt: new Date().toISOString() });
+  if (history.versions.length > MAX_UI_VERSIONS) history.versions.shift();
+  history.index = history.versions.length - 1;
+
+  persistSession(sessionId);
+  broadcastToBrowser({ type: 'HISTORY', ...historySummary(sessionId) }, sessionId);
+  notifySessionResources(sessionId, 'html', 'history');
+}
+
+// Write a session's UI history, window layout and charts to SNAPSHOT_DIR. Writes to one file never
+// overlap: a change made while one is in flight is picked up by another pass once it finishes.
+function persistSession(sessionId) {
+  if (!SNAPSHOT_DIR || !PERSISTABLE_SESSION_ID.test(sessionId)) return;
+  const write = snapshotWrites.get(sessionId);
+  if (write) {
+    write.dirty = true;
+    return;
+  }
+  snapshotWrites.set(sessionId, { dirty: true });
+  writeSnapshot(sessionId)
+    .catch(e => console.error(`Failed to persist snapshot for ${sessionId}:`, e.message))
+    .finally(() => snapshotWrites.delete(sessionId));
+}
+
+// Written to a temporary file and renamed into place, so a crash never leaves a torn snapshot
+async function writeSnapshot(sessionId) {
+  const write = snapshotWrites.get(sessionId);
+  const file = path.join(SNAPSHOT_DIR, `${sessionId}.json`);
+  while (write.dirty) {
+    write.dirty = false;
+    if (!hasRenderedState(sessionId)) {
+      // E.g. HEADLESS_SESSION once a tab adopted it
+      await fs.promises.rm(file, { force: true });
+      continue;
+    }
+    const history = uiHistory.get(sessionId);
+    const layout = windowLayouts.get(sessionId);
+    const charts = sessionCharts.get(sessionId);
+    await fs.promises.writeFile(`${file}.tmp`, JSON.stringify({
+      sessionId,
+      index: history?.index,
+      versions: history?.versions,
+      windows: layout ? [...layout.values()] : undefined,
+      charts: charts ? Object.fromEntries(charts) : undefined
+    }));
+    await fs.promises.rename(`${file}.tmp`, file);
+  }
+}
+
+// Window bodies live outside #app, so the browser reports their markup separately
+function saveWindowContents(sessionId, contents) {
+  const layout = windowLayouts.get(sessionId);
+  if (!layout) return;
+  let changed = false;
+  for (const [id, html] of Object.entries(contents)) {
+    const win = layout.get(id);
+    if (win && typeof html === 'string' && win.html !== html) {
+      win.html = html;
+      changed = true;
+    }
+  }
+  if (changed) persistSession(sessionId);
+}
+
+// Apply changes to a window and push its new state to the browser.
+// Returns the window, or null if it doesn't exist.
+function updateWindow(sessionId, windowId, changes) {
+  const win = windowLayouts.get(sessionId)?.get(windowId);
+  if (!win) return null;
+  Object.assign(win, changes);
+  persistSession(sessionId);
+  const { html, ...geometry } = win;
+  broadcastToBrowser({ type: 'WINDOW_UPDATE', window: geometry }, sessionId);
+  return win;
+}
+
+function topWindowZ(sessionId) {
+  let top = 0;
+  for (const win of windowLayouts.get(sessionId)?.values() ?? []) top = Math.max(top, win.z);
+  return top;
+}
+
+// Remember how a chart was drawn so reconnecting tabs can redraw it
+function saveChart(sessionId, chartId, selector, config) {
+  if (!sessionCharts.has(sessionId)) sessionCharts.set(sessionId, new Map());
+  sessionCharts.get(sessionId).set(chartId, { selector, config });
+  persistSession(sessionId);
+}
+
+// Tool result for the window_* tools
+function windowToolResult(sessionId, windowId, text) {
+  if (!sessionId) {
+    return {
+      content: [{ type: "text", text: "Error: Pass a sessionId or call attach_browser_session first." }],
+      isError: true
+    };
+  }
+  const win = windowLayouts.get(sessionId)?.get(windowId);
+  if (!win) {
+    const known = [...(windowLayouts.get(sessionId)?.keys() ?? [])];
+    return {
+      content: [{ type: "text", text: `Error: Window "${windowId}" not found. Open windows: ${known.join(', ') || 'none'}` }],
+      isError: true
+    };
+  }
+  const { html, ...geometry } = win;
+  return {
+    content: [{ type: "text", text: `${text}${describeOfflineDelivery(sessionId)} ${JSON.stringify(geometry)}` }]
+  };
+}
+
+// Tell Claude when a window or chart change was only saved, for a tab that isn't connected
+function describeOfflineDelivery(sessionId) {
+  if (browserSockets.has(sessionId)) return '';
+  return sessionId === HEADLESS_SESSION
+    ? ' No browser is connected; the next tab that opens will show it.'
+    : ' Browser is offline; it will see the change when it reconnects.';
+}
+
+// Version list without the markup, for the sidebar and tool results
+function historySummary(sessionId) {
+  const history = uiHistory.get(sessionId);
+  if (!history) return { current: null, versions: [] };
+  return {
+    current: history.versions[history.index].version,
+    versions: history.versions.map(v => ({ version: v.version, updatedAt: v.updatedAt, length: v.html.length }))
+  };
+}
+
+// Point the session at another version and re-render it.
+// Returns { error } or { entry, ack } where ack is null if the browser is offline.
+async function moveToVersion(sessionId, index) {
+  const history = uiHistory.get(sessionId);
+  if (!history || index < 0 || index >= history.versions.length) {
+    return { error: 'No such version' };
+  }
+
+  history.index = index;
+  const entry = history.versions[index];
+  persistSession(sessionId);
+  broadcastToBrowser({ type: 'HISTORY', ...historySummary(sessionId) }, sessionId);
+  notifySessionResources(sessionId, 'html', 'history');
+
+  const requestId = randomUUID();
+  const sent = broadcastToBrowser({ type: 'UPDATE_DOM', selector: '#app', html: entry.html, sanitize: SANITIZE_MODE, restored: true, requestId }, sessionId);
+  if (!sent) {
+    // Rebuilt from the new current version on next use
+    discardHeadlessDom(sessionId);
+    return { entry, ack: null };
+  }
+
+  try {
+    return { entry, ack: await waitForAck(requestId) };
+  } catch (e) {
+    return { entry, error: e.message };
+  }
+}
+
+// Undo/redo/revert clicked in the sidebar. Claude hears about it as an interaction.
+async function handleHistoryCommand(sessionId, msg) {
+  const history = uiHistory.get(sessionId);
+  if (!history) return;
+
+  let index;
+  if (msg.command === 'undo') index = history.index - 1;
+  else if (msg.command === 'redo') index = history.index + 1;
+  else if (msg.command === 'revert') index = history.versions.findIndex(v => v.version === msg.version);
+  else return;
+
+  const result = await moveToVersion(sessionId, index);
+  if (result.entry) {
+    enqueueInteraction(sessionId, {
+      type: 'USER_INTERACTION',
+      eventType: 'history',
+      command: msg.command,
+      version: result.entry.version,
+      sessionId,
+      timestamp: Date.now()
+    });
+  }
+}
+
+// The server-side DOM standing in for a session's tab, created from its last known state
+function headlessDomFor(sessionId) {
+  let dom = headlessDoms.get(sessionId);
+  if (dom) {
+    headlessDoms.delete(sessionId); // Re-inserted below, keeping the Map in least-recently-used order
+  } else {
+    dom = new HeadlessDom(currentSnapshot(sessionId)?.html, windowLayouts.get(sessionId)?.values());
+    for (const [oldest] of headlessDoms) {
+      if (headlessDoms.size < HEADLESS_DOMS_MAX) break;
+      discardHeadlessDom(oldest);
+    }
+  }
+  headlessDoms.set(sessionId, dom);
+  dom.syncWindows(windowLayouts.get(sessionId)?.values() ?? []);
+  return dom;
+}
+
+// Only sessions that exist get a server-side DOM, so a mistyped sessionId is an error rather than
+// a new, invisible session
+function canRenderHeadless(sessionId) {
+  return sessionId === HEADLESS_SESSION || knownSessions.has(sessionId) || hasRenderedState(sessionId);
+}
+
+// Whether anything was rendered into the session: UI versions, windows or charts
+function hasRenderedState(sessionId) {
+  return uiHistory.has(sessionId) || windowLayouts.has(sessionId) || sessionCharts.has(sessionId);
+}
+
+function discardHeadlessDom(sessionId) {
+  headlessDoms.get(sessionId)?.close();
+  headlessDoms.delete(sessionId);
+}
+
+// Move everything rendered into HEADLESS_SESSION over to a newly connected tab
+function adoptHeadlessSession(sessionId) {
+  console.log(`Session ${sessionId} adopts the UI rendered while no browser was connected`);
+  for (const state of [uiHistory, windowLayouts, sessionCharts]) {
+    if (state.has(HEADLESS_SESSION)) state.set(sessionId, state.get(HEADLESS_SESSION));
+    state.delete(HEADLESS_SESSION);
+  }
+  discardHeadlessDom(HEADLESS_SESSION);
+  persistSession(sessionId);
+  persistSession(HEADLESS_SESSION);
+}
+
+// DOM tools never give up for lack of a tab: with none connected, unnamed renders go to HEADLESS_SESSION
+function resolveRenderSession(sessionId, extra) {
+  return resolveSingleBrowserSession(sessionId, extra) ?? (browserSockets.size === 0 ? HEADLESS_SESSION : null);
+}
+
+// Send an UPDATE_DOM or QUERY_DOM message to the session's tab and wait for its ack. With no tab
+// connected the headless DOM answers instead; the tab receives the result when it connects.
+// Returns null if the session has no tab and can't be rendered headlessly.
+async function sendDomRequest(sessionId, message) {
+  const requestId = randomUUID();
+  if (broadcastToBrowser({ ...message, requestId }, sessionId)) return waitForAck(requestId);
+  if (!canRenderHeadless(sessionId) || !['UPDATE_DOM', 'QUERY_DOM'].includes(message.type)) return null;
+
+  const dom = headlessDomFor(sessionId);
+  const ack = message.type === 'QUERY_DOM' ? dom.query(message) : dom.update(message);
+  ack.headless = true;
+  recordRender(sessionId, ack);
+  return ack;
+}
+
+// Tell Claude when an update only reached the server-side DOM
+function describeDelivery(sessionId, ack) {
+  if (!ack.headless) return '';
+  return sessionId === HEADLESS_SESSION
+    ? ' No browser is connected: rendered on the server, and the next tab that opens will show it.'
+    : ` Browser session ${sessionId} is not connected: rendered on the server, and the tab will show it when it reconnects.`;
+}
+
+// Tool result for undo_ui / redo_ui / revert_ui_to
+function historyToolResult(sessionId, result) {
+  if (result.error) {
+    return {
+      content: [{ type: "text", text: `Error: ${result.error}. History: ${JSON.stringify(historySummary(sessionId))}` }],
+      isError: true
+    };
+  }
+  if (result.ack?.type === 'DOM_UPDATE_FAILED') return renderFailureResult(result.ack);
+
+  const delivery = result.ack ? '' : ' Browser is offline; it will show this version when it reconnects.';
+  return {
+    content: [{ type: "text", text: `UI is now at version ${result.entry.version}.${delivery} History: ${JSON.stringify(historySummary(sessionId))}` }]
+  };
+}
+
+const EXPORT_FORMATS = { pdf: 'pdf', html: 'html', zip: 'zip' }; // format -> file extension
+
+// Wrap #app markup into a document that renders without the relay or the Tailwind CDN
+function standaloneHtml(body, css, title) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${title}</title>
+<style>
+${css}
+</style>
+</head>
+<body>
+<div id="app">${body}</div>
+</body>
+</html>
+`;
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buf) {
+  let crc = 0xffffffff;
+  for (const byte of buf) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Minimal deflate zip writer, enough for a handful of HTML files
+function createZip(entries) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const { name, content } of entries) {
+    const nameBuf = Buffer.from(name);
+    const data = Buffer.from(content);
+    const compressed = zlib.deflateRawSync(data);
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4); // version needed
+    local.writeUInt16LE(0x0800, 6); // UTF-8 names
+    local.writeUInt16LE(8, 8); // deflate
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuf.length, 26);
+    locals.push(local, nameBuf, compressed);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4); // version made by
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBuf.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, nameBuf);
+
+    offset += local.length + nameBuf.length + compressed.length;
+  }
+
+  const centralSize = centrals.reduce((n, b) => n + b.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, ...centrals, end]);
+}
+
+// Export a session's UI to EXPORT_DIR. The browser renders PDFs and supplies the page
+// styles for HTML; without a browser, HTML and zip exports fall back to unstyled markup.
+async function exportSession(sessionId, format) {
+  if (!Object.hasOwn(EXPORT_FORMATS, format)) return { error: `Unknown export format "${format}"` };
+  const ext = EXPORT_FORMATS[format];
+  const history = uiHistory.get(sessionId);
+  if (!history) return { error: 'Nothing has been rendered in this session yet' };
+
+  let rendered = null;
+  let timedOut = false;
+  const requestId = randomUUID();
+  if (broadcastToBrowser({ type: 'EXPORT_UI', requestId, format }, sessionId)) {
+    try {
+      rendered = await waitForAck(requestId, EXPORT_TIMEOUT_MS);
+    } catch (e) {
+      if (format === 'pdf') return { error: e.message };
+      timedOut = true;
+    }
+  }
+  if (rendered?.error) return { error: String(rendered.error) };
+  if (format === 'pdf' && !rendered) return { error: 'PDF export needs the browser tab to be open' };
+  // The reply comes from the tab, so don't trust its shape
+  if (format === 'pdf' && typeof rendered.data !== 'string') return { error: 'The browser returned no PDF data' };
+
+  const css = typeof rendered?.css === 'string' ? rendered.css : '';
+  const title = `UI export ${new Date().toISOString()}`;
+  let content;
+  if (format === 'pdf') {
+    content = Buffer.from(rendered.data, 'base64');
+  } else if (format === 'html') {
+    content = standaloneHtml(typeof rendered?.html === 'string' ? rendered.html : currentSnapshot(sessionId).html, css, title);
+  } else {
+    content = createZip([
+      ...history.versions.map(v => ({ name: `v${v.version}.html`, content: standaloneHtml(v.html, css, `Version ${v.version}`) })),
+      { name: 'history.json', content: JSON.stringify({ sessionId, ...historySummary(sessionId) }, null, 2) }
+    ]);
+  }
+
+  const safeId = sessionId.replace(/[^A-Za-z0-9_-]/g, '_').slice(0, 64);
+  const file = path.join(EXPORT_DIR, `${safeId}-${Date.now()}.${ext}`);
+  try {
+    await fs.promises.mkdir(EXPORT_DIR, { recursive: true });
+    await fs.promises.writeFile(file, content);
+  } catch (e) {
+    return { error: `Could not write ${file}: ${e.message}` };
+  }
+  return { file, bytes: content.length, styled: !!rendered, timedOut };
+}
+
+// Short code the user can read off the sidebar and hand to Claude
+function createPairingCode(sessionId) {
+  if (pairingCodes.has(sessionId)) return pairingCodes.get(sessionId);
+
+  const inUse = new Set(pairingCodes.values());
+  let code;
+  do {
+    code = randomBytes(3).toString('hex').toUpperCase();
+  } while (inUse.has(code));
+
+  pairingCodes.set(sessionId, code);
+  return code;
+}
+
+function findSessionByPairingCode(code) {
+  const normalized = code.trim().toUpperCase();
+  for (const [sessionId, pairingCode] of pairingCodes) {
+    if (pairingCode === normalized) return sessionId;
+  }
+  return null;
+}
+
+// Explicit sessionId wins, otherwise fall back to the browser attached to this MCP session
+function resolveBrowserSession(sessionId, extra) {
+  if (sessionId) return sessionId;
+  if (extra?.sessionId) return sessionBindings.get(extra.sessionId) || null;
+  return null;
+}
+
+// Requests that expect one answer must go to exactly one tab; broadcasting would race the replies
+function resolveSingleBrowserSession(sessionId, extra) {
+  const resolved = resolveBrowserSession(sessionId, extra);
+  if (resolved) return resolved;
+  if (browserSockets.size === 1) return browserSockets.keys().next().value;
+  return null;
+}
+
+// An interaction matches when no action filter is given or its data-action equals the filter
+function matchesAction(interaction, action) {
+  return !action || interaction.action === action;
+}
+
+// Deliver an interaction to a waiting listener, or queue it for its session
+function enqueueInteraction(sessionId, interaction) {
+  const recent = recentInteractions.get(sessionId) ?? [];
+  recent.push(interaction);
+  recentInteractions.set(sessionId, recent.slice(-RECENT_INTERACTIONS_MAX));
+  notifySessionResources(sessionId, 'interactions');
+
+  for (const key of [sessionId, ANY_SESSION]) {
+    const listeners = interactionListeners.get(key);
+    const index = listeners ? listeners.findIndex(l => matchesAction(interaction, l.action)) : -1;
+    if (index !== -1) {
+      const [listener] = listeners.splice(index, 1);
+      if (listeners.length === 0) interactionListeners.delete(key);
+      listener.deliver(interaction);
+      return;
+    }
+  }
+
+  if (!interactionQueues.has(sessionId)) interactionQueues.set(sessionId, []);
+  interactionQueues.get(sessionId).push(interaction);
+}
+
+// e.g. imagine://sessions/<id>/html; see the resources registered in createMcpServer
+function sessionResourceUri(sessionId, resource) {
+  return `imagine://sessions/${encodeURIComponent(sessionId)}/${resource}`;
+}
+
+function notifySessionResources(sessionId, ...resources) {
+  for (const resource of resources) notifyResourceUpdated(sessionResourceUri(sessionId, resource));
+}
+
+// Sessions worth listing as resources: connected, or with something rendered, logged or clicked
+function listedSessions() {
+  return [...new Set([...browserSockets.keys(), ...uiHistory.keys(), ...thoughtLogs.keys(), ...recentInteractions.keys()])];
+}
+
+function recordThought(sessionId, message) {
+  const thoughts = thoughtLogs.get(sessionId) ?? [];
+  thoughts.push({ message, timestamp: new Date().toISOString() });
+  thoughtLogs.set(sessionId, thoughts.slice(-RECENT_THOUGHTS_MAX));
+  notifySessionResources(sessionId, 'thoughts');
+}
+
+// Connection details for the clients resources; null if the session has no tab open
+function describeClient(sessionId) {
+  const ws = browserSockets.get(sessionId);
+  if (!ws) return null;
+  return {
+    sessionId,
+    connected: true,
+    ...ws.client,
+    attachedMcpSessions: [...sessionBindings.values()].filter(id => id === sessionId).length,
+    pendingInteractions: interactionQueues.get(sessionId)?.length ?? 0
+  };
+}
+
+function jsonResource(uri, value) {
+  return { contents: [{ uri: uri.href, mimeType: "application/json", text: JSON.stringify(value, null, 2) }] };
+}
+
+// Tell every MCP session subscribed to a resource that it changed (sent on its GET /mcp stream)
+function notifyResourceUpdated(uri) {
+  for (const server of resourceSubscribers.get(uri) ?? []) {
+    server.server.sendResourceUpdated({ uri }).catch(e => console.error(`Failed to notify ${uri}:`, e.message));
+  }
+}
+
+// Take the next matching interaction for a session (or the oldest from any session).
+// Non-matching interactions stay queued.
+function dequeueInteraction(sessionId = null, action = null) {
+  let found = null; // { key, index }
+  const keys = sessionId ? [sessionId] : [...interactionQueues.keys()];
+  for (const key of keys) {
+    const queue = interactionQueues.get(key);
+    if (!queue) continue;
+    const index = queue.findIndex(i => matchesAction(i, action));
+    if (index === -1) continue;
+    if (!found || (queue[index].timestamp ?? 0) < (interactionQueues.get(found.key)[found.index].timestamp ?? 0)) {
+      found = { key, index };
+    }
+  }
+  if (!found) return null;
+
+  const queue = interactionQueues.get(found.key);
+  const [interaction] = queue.splice(found.index, 1);
+  if (queue.length === 0) interactionQueues.delete(found.key);
+  return interaction;
+}
+
+// Register a listener for the next matching interaction; returns a function that unregisters it
+function addInteractionListener(sessionId, action, deliver) {
+  const key = sessionId || ANY_SESSION;
+  const listener = { action, deliver };
+  if (!interactionListeners.has(key)) interactionListeners.set(key, []);
+  interactionListeners.get(key).push(listener);
+
+  return () => {
+    const listeners = interactionListeners.get(key);
+    if (!listeners) return;
+    const index = listeners.indexOf(listener);
+    if (index !== -1) listeners.splice(index, 1);
+    if (listeners.length === 0) interactionListeners.delete(key);
+  };
+}
+
+// Clamp a requested sanitization mode to the operator's policy
+function resolveSanitizeMode(requested) {
+  if (!requested) return SANITIZE_MODE;
+  return SANITIZE_MODES.indexOf(requested) < SANITIZE_MODES.indexOf(SANITIZE_MODE) ? requested : SANITIZE_MODE;
+}
+
+// Tell Claude what the browser's sanitizer dropped so it can rewrite the markup
+function describeSanitization(ack) {
+  if (!ack.removed || ack.removed.length === 0) return '';
+  return ` Sanitizer (${ack.sanitize}) removed: ${ack.removed.join(', ')}.`;
+}
+
+// Turn a DOM_UPDATE_FAILED ack into a tool error Claude can act on
+function renderFailureResult(ack) {
+  const hint = ack.availableIds && ack.availableIds.length > 0
+    ? `Existing ids: ${ack.availableIds.join(', ')}`
+    : 'No elements with an id exist yet; target #app.';
+  return {
+    content: [{ type: "text", text: `Error: UI update failed for selector "${ack.selector}": ${ack.error}. ${hint}` }],
+    isError: true
+  };
+}
+
+// Wait for the browser to acknowledge a request sent with the given requestId
+function waitForAck(requestId, timeoutMs = ACK_TIMEOUT_MS) {
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => {
+      pendingUpdates.delete(requestId);
+      reject(new Error("Timeout waiting for browser acknowledgement"));
+    }, timeoutMs);
+
+    pendingUpdates.set(requestId, (msg) => {
+      clearTimeout(timeout);
+      resolve(msg);
+    });
+  });
+}
+
+// Hold a message for a session that has connected before (or has saved UI) until it comes back.
+// Requests waiting on a reply are never queued: their caller gives up long before a reconnect.
+function queueForOfflineSession(sessionId, message) {
+  if (message.requestId || UNQUEUED_TYPES.has(message.type)) return false;
+  if (!knownSessions.has(sessionId) && !uiHistory.has(sessionId)) return false;
+
+  const now = Date.now();
+  const outbox = (outboxes.get(sessionId) ?? []).filter(entry => now - entry.queuedAt < OUTBOX_TTL_MS);
+  outbox.push({ message, queuedAt: now });
+  if (outbox.length > OUTBOX_MAX_MESSAGES) {
+    console.warn(`Outbox for ${sessionId} is full; dropping ${outbox.length - OUTBOX_MAX_MESSAGES} oldest message(s)`);
+    outbox.splice(0, outbox.length - OUTBOX_MAX_MESSAGES);
+  }
+  outboxes.set(sessionId, outbox);
+  return true;
+}
+
+// Drop expired messages, and the outboxes of sessions that never came back for them
+function pruneOutboxes() {
+  const now = Date.now();
+  for (const [sessionId, outbox] of outboxes) {
+    const fresh = outbox.filter(entry => now - entry.queuedAt < OUTBOX_TTL_MS);
+    if (fresh.length === 0) outboxes.delete(sessionId);
+    else if (fresh.length < outbox.length) outboxes.set(sessionId, fresh);
+  }
+}
+
+// Mark a session as connected just now; the least recent offline ones are forgotten past KNOWN_SESSIONS_MAX
+function rememberSession(sessionId) {
+  knownSessions.delete(sessionId);
+  knownSessions.add(sessionId);
+  for (const oldest of knownSessions) {
+    if (knownSessions.size <= KNOWN_SESSIONS_MAX) break;
+    if (browserSockets.has(oldest)) continue;
+    knownSessions.delete(oldest);
+    outboxes.delete(oldest);
+  }
+}
+
+// Deliver what was queued while the session was offline, oldest first
+function flushOutbox(sessionId, ws) {
+  const outbox = outboxes.get(sessionId);
+  if (!outbox) return;
+  outboxes.delete(sessionId);
+
+  const now = Date.now();
+  const fresh = outbox.filter(entry => now - entry.queuedAt < OUTBOX_TTL_MS);
+  for (const { message } of fresh) ws.send(JSON.stringify(message));
+  console.log(`Delivered ${fresh.length} queued message(s) to ${sessionId} (${outbox.length - fresh.length} expired)`);
+}
+
+// Broadcast to browser. Returns true when sent, 'queued' when held for a known session that
+// is offline, and false when nobody could receive it.
+function broadcastToBrowser(message, targetSessionId = null) {
+  if (targetSessionId) {
+    const ws = browserSockets.get(targetSessionId);
+    if (ws && ws.readyState === 1) {
+      ws.send(JSON.stringify(message));
+      return true;
+    }
+    return queueForOfflineSession(targetSessionId, message) ? 'queued' : false;
+  }
+
+  // Broadcast to all if no target
+  let sentCount = 0;
+  for (const ws of browserSockets.values()) {
+    if (ws.readyState === 1) {
+      ws.send(JSON.stringify(message));
+      sentCount++;
+    }
+  }
+  return sentCount > 0;
+}
+
+function isToolEnabled(name) {
+  return (!config.tools.enabled || config.tools.enabled.includes(name)) && !config.tools.disabled.includes(name);
+}
+
+// Create a new MCP server instance with tools. onTool(name) is called for every tool registered,
+// whether or not it is enabled.
+function createMcpServer({ plugins = toolPlugins, onTool } = {}) {
+  const server = new McpServer({
+    name: "imagine",
+    version: "1.0.0"
+  });
+
+  // Tools left out by the config's tools.enabled / tools.disabled are never registered
+  const registerTool = server.tool.bind(server);
+  server.tool = (name, ...rest) => {
+    onTool?.(name);
+    return isToolEnabled(name) ? registerTool(name, ...rest) : undefined;
+  };
+
+  // Register tools
+  server.tool(
+    "attach_browser_session",
+    "Link this MCP session to one browser tab. Afterwards all tools target that tab unless a sessionId is passed explicitly.",
+    {
+      sessionId: z.string().optional().describe("Browser session ID to attach to"),
+      pairingCode: z.string().optional().describe("Pairing code shown in the browser sidebar (alternative to sessionId)")
+    },
+    async ({ sessionId, pairingCode }, extra) => {
+      console.log(`[Tool: attach_browser_session] Received args:`, { sessionId, pairingCode });
+      if (!extra?.sessionId) {
+        return {
+          content: [{ type: "text", text: "Error: This transport has no MCP session to attach." }],
+          isError: true
+        };
+      }
+
+      const browserSessionId = sessionId || (pairingCode ? findSessionByPairingCode(pairingCode) : null);
+      if (!browserSessionId || !browserSockets.has(browserSessionId)) {
+        return {
+          content: [{ type: "text", text: `Error: No connected browser matches ${sessionId ? `session "${sessionId}"` : `pairing code "${pairingCode ?? ''}"`}.` }],
+          isError: true
+        };
+      }
+
+      sessionBindings.set(extra.sessionId, browserSessionId);
+      broadcastToBrowser({ type: "LOG", message: "Claude attached to this session" }, browserSessionId);
+      return {
+        content: [{ type: "text", text: `Attached to browser session ${browserSessionId}` }]
+      };
+    }
+  );
+
+  server.tool(
+    "detach_browser_session",
+    "Unlink this MCP session from its browser tab. Tools without a sessionId broadcast to all tabs again.",
+    {},
+    async (_args, extra) => {
+      const browserSessionId = extra?.sessionId ? sessionBindings.get(extra.sessionId) : null;
+      if (!browserSessionId) {
+        return {
+          content: [{ type: "text", text: "Not attached to any browser session" }]
+        };
+      }
+
+      sessionBindings.delete(extra.sessionId);
+      return {
+        content: [{ type: "text", text: `Detached from browser session ${browserSessionId}` }]
+      };
+    }
+  );
+
+  server.tool(
+    "update_ui",
+    "Replaces the HTML inside a container. Use this to build the UI. Mark interactive elements and forms with data-action=\"name\" (plus optional JSON in data-payload) to receive structured interactions.",
+    {
+      html: z.string().describe("The raw HTML string to inject."),
+      selector: z.string().optional().describe("CSS selector to update (default: #app)"),
+      sanitize: z.enum(SANITIZE_MODES).optional().describe("Sanitization mode; cannot be looser than the server policy (default: server policy)"),
+      sessionId: z.string().optional().describe("Target browser session ID (optional, default: attached session)")
+    },
+    async ({ html, selector, sanitize, sessionId }, extra) => {
+      sessionId = resolveRenderSession(sessionId, extra);
+      console.log(`[Tool: update_ui] Received args:`, { html, selector, sanitize, sessionId });
+      const message = {
+        type: "UPDATE_DOM",
+        html: html,
+        selector: selector || "#app",
+        sanitize: resolveSanitizeMode(sanitize)
+      };
+
+      // Wait for acknowledgement
+      try {
+        const ack = await sendDomRequest(sessionId, message);
+        if (!ack) {
+          return {
+            content: [{ type: "text", text: sessionId ? `Warning: Browser session ${sessionId} is not connected.` : "Warning: No browser connected. Open http://localhost:3000 first." }],
+            isError: true
+          };
+        }
+        if (ack.type === 'DOM_UPDATE_FAILED') return renderFailureResult(ack);
+
+        return {
+          content: [{ type: "text", text: `UI updated successfully. Actual content length: ${ack.htmlLength}.${describeSanitization(ack)}${describeDelivery(sessionId, ack)}` }]
+        };
+      } catch (e) {
+        return {
+          content: [{ type: "text", text: `Warning: UI update sent but verification failed: ${e.message}` }],
+          isError: true
+        };
+      }
+    }
+  );
+
+  server.tool(
+    "stream_ui_start",
+    "Start streaming HTML into a container. Send the content in pieces with stream_ui_append, then call stream_ui_end. Use this for large UIs so the user sees progress.",
+    {
+      selector: z.string().optional().describe("CSS selector whose contents are streamed (default: #app)"),
+      initialHtml: z.string().optional().describe("HTML to show before the first chunk (optional)"),
+      sanitize: z.enum(SANITIZE_MODES).optional().describe("Sanitization mode; cannot be looser than the server policy (default: server policy)"),
+      sessionId: z.string().optional().describe("Target browser session ID (optional, default: attached session)")
+    },
+    async ({ selector = "#app", initialHtml = "", sanitize, sessionId }, extra) => {
+      sessionId = resolveRenderSession(sessionId, extra);
+      console.log(`[Tool: stream_ui_start] Received args:`, { selector, sanitize, sessionId });
+      const streamId = randomUUID();
+      sanitize = resolveSanitizeMode(sanitize);
+
+      const sent = broadcastToBrowser({ type: "STREAM_START", streamId, selector, html: initialHtml, sanitize }, sessionId);
+      if (!sent && !canRenderHeadless(sessionId)) {
+        return {
+          content: [{ type: "text", text: sessionId ? `Warning: Browser session ${sessionId} is not connected.` : "Warning: No browser connected. Open http://localhost:3000 first." }],
+          isError: true
+        };
+      }
+
+      // Without a tab the chunks are only collected, and stream_ui_end renders them headlessly
+      const expiry = setTimeout(() => activeStreams.delete(streamId), STREAM_IDLE_TTL_MS).unref();
+      activeStreams.set(streamId, { sessionId, selector, html: initialHtml, sanitize, headless: !sent, expiry });
+      return {
+        content: [{ type: "text", text: `Stream started. streamId: ${streamId}` }]
+      };
+    }
+  );
+
+  server.tool(
+    "stream_ui_append",
+    "Append a chunk of HTML to an active stream started with stream_ui_start.",
+    {
+      streamId: z.string().describe("The streamId returned by stream_ui_start"),
+      chunk: z.string().describe("The HTML chunk to append")
+    },
+    async ({ streamId, chunk }) => {
+      const stream = activeStreams.get(streamId);
+      if (!stream) {
+        return {
+          content: [{ type: "text", text: `Error: No active stream with streamId ${streamId} (streams expire after ${STREAM_IDLE_TTL_MS / 60000} minutes without a chunk)` }],
+          isError: true
+        };
+      }
+
+      stream.html += chunk;
+      stream.expiry.refresh();
+      if (!stream.headless && !broadcastToBrowser({ type: "STREAM_APPEND", streamId, chunk }, stream.sessionId)) {
+        if (!stream.sessionId) {
+          return {
+            content: [{ type: "text", text: "Warning: Browser disconnected during stream." }],
+            isError: true
+          };
+        }
+        stream.headless = true;
+      }
+
+      return {
+        content: [{ type: "text", text: `Chunk appended. Streamed length: ${stream.html.length}` }]
+      };
+    }
+  );
+
+  server.tool(
+    "stream_ui_end",
+    "Finish a stream. The browser morphs the complete HTML into place and confirms the final content length.",
+    {
+      streamId: z.string().describe("The streamId returned by stream_ui_start")
+    },
+    async ({ streamId }) => {
+      const stream = activeStreams.get(streamId);
+      if (!stream) {
+        return {
+          content: [{ type: "text", text: `Error: No active stream with streamId ${streamId} (streams expire after ${STREAM_IDLE_TTL_MS / 60000} minutes without a chunk)` }],
+          isError: true
+        };
+      }
+      activeStreams.delete(streamId);
+      clearTimeout(stream.expiry);
+
+      // A stream that lost (or never had) its tab lands as a single update of the whole markup. A
+      // tab gets the whole markup too, in case it reloaded mid-stream and missed chunks.
+      const message = stream.headless
+        ? { type: "UPDATE_DOM", selector: stream.selector, html: stream.html, sanitize: stream.sanitize, childrenOnly: true }
+        : { type: "STREAM_END", streamId, selector: stream.selector, html: stream.html, sanitize: stream.sanitize };
+
+      try {
+        const ack = await sendDomRequest(stream.sessionId, message);
+        if (!ack) {
+          return {
+            content: [{ type: "text", text: "Warning: Browser disconnected during stream." }],
+            isError: true
+          };
+        }
+        if (ack.type === 'DOM_UPDATE_FAILED') return renderFailureResult(ack);
+
+        return {
+          content: [{ type: "text", text: `Stream finished. Streamed length: ${stream.html.length}. Actual content length: ${ack.htmlLength}.${describeSanitization(ack)}${describeDelivery(stream.sessionId, ack)}` }]
+        };
+      } catch (e) {
+        return {
+          content: [{ type: "text", text: `Warning: Stream finished but verification failed: ${e.message}` }],
+          isError: true
+        };
+      }
+    }
+  );
+
+  server.tool(
+    "query_dom",
+    "Read what is actually rendered in the browser: outerHTML, text, attributes and form-control values for elements matching a selector.",
+    {
+      selector: z.string().optional().describe("CSS selector to inspect (default: #app)"),
+      limit: z.number().int().min(1).max(50).optional().describe("Maximum number of matching elements to return (default: 10)"),
+      maxLength: z.number().int().min(100).max(100000).optional().describe("Maximum characters of outerHTML/text per element (default: 20000)"),
+      sessionId: z.string().optional().describe("Target browser session ID (optional, default: attached session)")
+    },
+    async ({ selector = "#app", limit = 10, maxLength = 20000, sessionId }, extra) => {
+      sessionId = resolveRenderSession(sessionId, extra);
+      console.log(`[Tool: query_dom] Received args:`, { selector, limit, maxLength, sessionId });
+      if (!sessionId) {
+        return {
+          content: [{ type: "text", text: "Error: Several browsers are connected. Pass a sessionId or call attach_browser_session first." }],
+          isError: true
+        };
+      }
+
+      try {
+        const result = await sendDomRequest(sessionId, { type: "QUERY_DOM", selector, limit, maxLength });
+        if (!result) {
+          return {
+            content: [{ type: "text", text: `Warning: Browser session ${sessionId} is not connected.` }],
+            isError: true
+          };
+        }
+        if (result.error) {
+          return {
+            content: [{ type: "text", text: `Error: ${result.error}` }],
+            isError: true
+          };
+        }
+
+        return {
+          content: [{ type: "text", text: JSON.stringify({
+            selector,
+            matchCount: result.matchCount,
+            elements: result.elements,
+            ...(result.headless && { note: "No browser connected; read from the server-side DOM (no live form values or layout)." })
+          }, null, 2) }]
+        };
+      } catch (e) {
+        return {
+          content: [{ type: "text", text: `Warning: DOM query failed: ${e.message}` }],
+          isError: true
+        };
+      }
+    }
+  );
+
+  server.tool(
+    "capture_screenshot",
+    "Take a screenshot of what the browser actually rendered (#app or any selector) to check layout visually.",
+    {
+      selector: z.string().optional().describe("CSS selector of the element to capture (default: #app)"),
+      maxWidth: z.number().int().min(64).max(4096).optional().describe("Maximum image width in pixels; larger captures are scaled down (default: 1280)"),
+      maxHeight: z.number().int().min(64).max(4096).optional().describe("Maximum image height in pixels; larger captures are scaled down (default: 1280)"),
+      format: z.enum(['png', 'jpeg']).optional().describe("Image format (default: png; jpeg is smaller for photos and gradients)"),
+      sessionId: z.string().optional().describe("Target browser session ID (optional, default: attached session)")
+    },
+    async ({ selector = "#app", maxWidth = 1280, maxHeight = 1280, format = "png", sessionId }, extra) => {
+      sessionId = resolveSingleBrowserSession(sessionId, extra);
+      console.log(`[Tool: capture_screenshot] Received args:`, { selector, maxWidth, maxHeight, format, sessionId });
+      if (!sessionId) {
+        return {
+          content: [{ type: "text", text: browserSockets.size === 0
+            ? "Warning: No browser connected. Open http://localhost:3000 first."
+            : "Error: Several browsers are connected. Pass a sessionId or call attach_browser_session first." }],
+          isError: true
+        };
+      }
+
+      const requestId = randomUUID();
+      const sent = broadcastToBrowser({ type: "CAPTURE_SCREENSHOT", requestId, selector, maxWidth, maxHeight, format }, sessionId);
+      if (!sent) {
+        return {
+          content: [{ type: "text", text: `Warning: Browser session ${sessionId} is not connected.` }],
+          isError: true
+        };
+      }
+
+      try {
+        const result = await waitForAck(requestId, SCREENSHOT_TIMEOUT_MS);
+        if (result.error) {
+          return {
+            content: [{ type: "text", text: `Error: Screenshot failed for selector "${selector}": ${result.error}` }],
+            isError: true
+          };
+        }
+
+        return {
+          content: [
+            { type: "image", data: result.data, mimeType: result.mimeType },
+            { type: "text", text: `Screenshot of ${selector} (${result.width}x${result.height}${result.scaled ? ', scaled down' : ''}).` }
+          ]
+        };
+      } catch (e) {
+        return {
+          content: [{ type: "text", text: `Warning: Screenshot failed: ${e.message}` }],
+          isError: true
+        };
+      }
+    }
+  );
+
+  server.tool(
+    "get_ui_snapshot",
+    "Get the last HTML rendered in a browser session's #app, as recorded by the server. Works even if the tab is closed or reloading.",
+    {
+      sessionId: z.string().optional().describe("Browser session ID (optional, default: attached session)")
+    },
+    async ({ sessionId }, extra) => {
+      sessionId = resolveSingleBrowserSession(sessionId, extra);
+      if (!sessionId) {
+        const known = [...uiHistory.keys()];
+        return {
+          content: [{ type: "text", text: known.length > 0
+            ? `Error: Pass a sessionId or call attach_browser_session first. Sessions with snapshots: ${known.join(', ')}`
+            : "Error: No UI snapshots recorded yet." }],
+          isError: true
+        };
+      }
+
+      const snapshot = currentSnapshot(sessionId);
+      if (!snapshot) {
+        return {
+          content: [{ type: "text", text: `No UI snapshot recorded for session ${sessionId}` }]
+        };
+      }
+
+      return {
+        content: [{ type: "text", text: JSON.stringify({ sessionId, version: snapshot.version, updatedAt: snapshot.updatedAt, connected: browserSockets.has(sessionId), html: snapshot.html }, null, 2) }]
+      };
+    }
+  );
+
+  server.tool(
+    "undo_ui",
+    "Step the UI back to the previous version. The user can also do this from the sidebar.",
+    {
+      sessionId: z.string().optional().describe("Browser session ID (optional, default: attached session)")
+    },
+    async ({ sessionId }, extra) => {
+      sessionId = resolveSingleBrowserSession(sessionId, extra);
+      const history = uiHistory.get(sessionId);
+      if (!history) {
+        return { content: [{ type: "text", text: "Error: No UI history for this session" }], isError: true };
+      }
+      if (history.index === 0) {
+        return { content: [{ type: "text", text: "Error: Already at the oldest version" }], isError: true };
+      }
+      return historyToolResult(sessionId, await moveToVersion(sessionId, history.index - 1));
+    }
+  );
+
+  server.tool(
+    "redo_ui",
+    "Re-apply a version that was undone.",
+    {
+      sessionId: z.string().optional().describe("Browser session ID (optional, default: attached session)")
+    },
+    async ({ sessionId }, extra) => {
+      sessionId = resolveSingleBrowserSession(sessionId, extra);
+      const history = uiHistory.get(sessionId);
+      if (!history) {
+        return { content: [{ type: "text", text: "Error: No UI history for this session" }], isError: true };
+      }
+      if (history.index === history.versions.length - 1) {
+        return { content: [{ type: "text", text: "Error: Nothing to redo" }], isError: true };
+      }
+      return historyToolResult(sessionId, await moveToVersion(sessionId, history.index + 1));
+    }
+  );
+
+  server.tool(
+    "revert_ui_to",
+    "Show a specific earlier (or undone) version of the UI. Version numbers are listed by get_ui_history.",
+    {
+      version: z.number().int().describe("Version number to revert to"),
+      sessionId: z.string().optional().describe("Browser session ID (optional, default: attached session)")
+    },
+    async ({ version, sessionId }, extra) => {
+      sessionId = resolveSingleBrowserSession(sessionId, extra);
+      const history = uiHistory.get(sessionId);
+      if (!history) {
+        return { content: [{ type: "text", text: "Error: No UI history for this session" }], isError: true };
+      }
+      const index = history.versions.findIndex(v => v.version === version);
+      if (index === -1) {
+        return historyToolResult(sessionId, { error: `Version ${version} not found` });
+      }
+      return historyToolResult(sessionId, await moveToVersion(sessionId, index));
+    }
+  );
+
+  server.tool(
+    "get_ui_history",
+    "List the recorded UI versions of a session and which one is current.",
+    {
+      sessionId: z.string().optional().describe("Browser session ID (optional, default: attached session)")
+    },
+    async ({ sessionId }, extra) => {
+      sessionId = resolveSingleBrowserSession(sessionId, extra);
+      return {
+        content: [{ type: "text", text: JSON.stringify({ sessionId, ...historySummary(sessionId) }, null, 2) }]
+      };
+    }
+  );
 
-// State
-const browserSockets = new Map(); // sessionId -> ws
-const transports = {}; // sessionId -> transport
-const interactionQueue = []; // Queue of user interactions
-let interactionListeners = []; // Listeners waiting for interactions
-const pendingUpdates = new Map(); // requestId -> resolve function
+  server.tool(
+    "export_ui",
+    "Export a session's UI to a file on the server: a PDF, a self-contained HTML page, or a zip of every version in the history. Returns the file path.",
+    {
+      format: z.enum(['pdf', 'html', 'zip']).describe("pdf (rendered page), html (single file with inlined styles) or zip (all history versions as HTML)"),
+      sessionId: z.string().optional().describe("Browser session ID (optional, default: attached session)")
+    },
+    async ({ format, sessionId }, extra) => {
+      sessionId = resolveSingleBrowserSession(sessionId, extra);
+      console.log(`[Tool: export_ui] Received args:`, { format, sessionId });
+      if (!sessionId) {
+        return {
+          content: [{ type: "text", text: "Error: No browser session specified. Pass a sessionId or call attach_browser_session first." }],
+          isError: true
+        };
+      }
 
-// Setup Express
-const app = express();
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
+      const result = await exportSession(sessionId, format);
+      if (result.error) {
+        return {
+          content: [{ type: "text", text: `Error: Export failed: ${result.error}` }],
+          isError: true
+        };
+      }
+      const note = result.styled ? ''
+        : result.timedOut ? ' The browser did not answer in time, so page styles were not included.'
+        : ' Browser is offline, so page styles were not included.';
+      return {
+        content: [{ type: "text", text: `Exported ${format.toUpperCase()} to ${result.file} (${result.bytes} bytes).${note}` }]
+      };
+    }
+  );
 
-app.use(express.json());
-app.use(express.static(path.join(__dirname, '../public')));
+  const windowId = z.string().regex(/^[A-Za-z0-9_-]{1,64}$/).describe("Window identifier (letters, digits, - and _)");
+  const windowSessionId = z.string().optional().describe("Browser session ID (optional, default: attached session)");
 
-// Serve index.html
-app.get('/', (req, res) => {
-  res.sendFile(path.join(__dirname, '../public/index.html'));
-});
+  server.tool(
+    "window_new",
+    "Open a floating window on the desktop next to #app. Fill it with update_ui using selector \"#window-<id>\". Window layout survives reloads.",
+    {
+      id: windowId,
+      title: z.string().describe("Window title"),
+      x: z.number().int().optional().describe("Left position in pixels (default: 100)"),
+      y: z.number().int().optional().describe("Top position in pixels (default: 100)"),
+      width: z.number().int().min(120).optional().describe("Width in pixels (default: 480)"),
+      height: z.number().int().min(80).optional().describe("Height in pixels (default: 320)"),
+      sessionId: windowSessionId
+    },
+    async ({ id, title, x = 100, y = 100, width = 480, height = 320, sessionId }, extra) => {
+      sessionId = resolveRenderSession(sessionId, extra);
+      console.log(`[Tool: window_new] Received args:`, { id, title, x, y, width, height, sessionId });
+      if (!sessionId) return windowToolResult(null);
+      if (!browserSockets.has(sessionId) && !canRenderHeadless(sessionId)) {
+        return {
+          content: [{ type: "text", text: `Warning: Browser session ${sessionId} is not connected.` }],
+          isError: true
+        };
+      }
 
-// Create HTTP Server
-const httpServer = http.createServer(app);
-httpServer.timeout = 600000; // 10 minutes
-httpServer.keepAliveTimeout = 600000; // 10 minutes
+      if (!windowLayouts.has(sessionId)) windowLayouts.set(sessionId, new Map());
+      const layout = windowLayouts.get(sessionId);
+      if (layout.has(id)) {
+        return {
+          content: [{ type: "text", text: `Error: Window "${id}" already exists. Use window_move/window_resize or pick another id.` }],
+          isError: true
+        };
+      }
 
-// WebSocket Server for Browser
-const wss = new WebSocketServer({ server: httpServer });
+      layout.set(id, { id, title, x, y, width, height, minimized: false, z: topWindowZ(sessionId) + 1, html: '' });
+      updateWindow(sessionId, id, {});
+      return windowToolResult(sessionId, id, `Window "${id}" opened. Render into it with update_ui selector "#window-${id}".`);
+    }
+  );
 
-wss.on('connection', (ws, req) => {
-  const url = new URL(req.url, `http://${req.headers.host}`);
-  const sessionId = url.searchParams.get('sessionId') || randomUUID();
+  server.tool(
+    "window_move",
+    "Move a window to a new position.",
+    {
+      id: windowId,
+      x: z.number().int().describe("Left position in pixels"),
+      y: z.number().int().describe("Top position in pixels"),
+      sessionId: windowSessionId
+    },
+    async ({ id, x, y, sessionId }, extra) => {
+      sessionId = resolveRenderSession(sessionId, extra);
+      updateWindow(sessionId, id, { x, y });
+      return windowToolResult(sessionId, id, `Window "${id}" moved.`);
+    }
+  );
 
-  console.log(`Browser connected: ${sessionId}`);
-  browserSockets.set(sessionId, ws);
+  server.tool(
+    "window_resize",
+    "Resize a window.",
+    {
+      id: windowId,
+      width: z.number().int().min(120).describe("Width in pixels"),
+      height: z.number().int().min(80).describe("Height in pixels"),
+      sessionId: windowSessionId
+    },
+    async ({ id, width, height, sessionId }, extra) => {
+      sessionId = resolveRenderSession(sessionId, extra);
+      updateWindow(sessionId, id, { width, height });
+      return windowToolResult(sessionId, id, `Window "${id}" resized.`);
+    }
+  );
 
-  // Send session ID back to browser
-  ws.send(JSON.stringify({ type: 'SESSION_INIT', sessionId }));
+  server.tool(
+    "window_focus",
+    "Bring a window to the front (and restore it if minimized).",
+    {
+      id: windowId,
+      sessionId: windowSessionId
+    },
+    async ({ id, sessionId }, extra) => {
+      sessionId = resolveRenderSession(sessionId, extra);
+      updateWindow(sessionId, id, { z: topWindowZ(sessionId) + 1, minimized: false });
+      return windowToolResult(sessionId, id, `Window "${id}" focused.`);
+    }
+  );
 
-  ws.on('close', () => {
-    console.log(`Browser disconnected: ${sessionId}`);
-    browserSockets.delete(sessionId);
-  });
+  server.tool(
+    "window_minimize",
+    "Collapse a window to its title bar, or restore it.",
+    {
+      id: windowId,
+      minimized: z.boolean().optional().describe("true to minimize, false to restore (default: true)"),
+      sessionId: windowSessionId
+    },
+    async ({ id, minimized = true, sessionId }, extra) => {
+      sessionId = resolveRenderSession(sessionId, extra);
+      updateWindow(sessionId, id, { minimized });
+      return windowToolResult(sessionId, id, `Window "${id}" ${minimized ? 'minimized' : 'restored'}.`);
+    }
+  );
 
-  ws.on('message', (data) => {
-    try {
-      const msg = JSON.parse(data.toString());
-      // Inject sessionId if missing
-      if (!msg.sessionId) msg.sessionId = sessionId;
+  server.tool(
+    "window_change_title",
+    "Change the title of a window.",
+    {
+      id: windowId,
+      title: z.string().describe("New title"),
+      sessionId: windowSessionId
+    },
+    async ({ id, title, sessionId }, extra) => {
+      sessionId = resolveRenderSession(sessionId, extra);
+      updateWindow(sessionId, id, { title });
+      return windowToolResult(sessionId, id, `Window "${id}" renamed.`);
+    }
+  );
 
-      if (msg.type === 'USER_INTERACTION') {
-        console.log('Received user interaction:', msg);
-        interactionQueue.push(msg);
+  server.tool(
+    "window_close",
+    "Close a window and discard its content.",
+    {
+      id: windowId,
+      sessionId: windowSessionId
+    },
+    async ({ id, sessionId }, extra) => {
+      sessionId = resolveRenderSession(sessionId, extra);
+      const result = windowToolResult(sessionId, id, `Window "${id}" closed.`);
+      if (!result.isError) {
+        windowLayouts.get(sessionId).delete(id);
+        persistSession(sessionId);
+        broadcastToBrowser({ type: 'WINDOW_CLOSE', id }, sessionId);
+      }
+      return result;
+    }
+  );
+
+  const chartPoint = z.union([
+    z.number(),
+    z.null(),
+    z.object({ x: z.union([z.number(), z.string()]), y: z.number() }).passthrough()
+  ]);
+  const chartDataset = z.object({
+    label: z.string().optional(),
+    data: z.array(chartPoint)
+  }).passthrough().describe("A Chart.js dataset; styling keys like backgroundColor and borderColor are passed through");
+
+  server.tool(
+    "render_chart",
+    "Draw a Chart.js chart into a container (its current content is replaced). Use update_chart_data to change the numbers later without re-rendering.",
+    {
+      chartId: z.string().regex(/^[A-Za-z0-9_-]{1,64}$/).describe("Identifier used by update_chart_data"),
+      selector: z.string().describe("CSS selector of the container, e.g. #sales-chart or #window-<id>"),
+      type: z.enum(['bar', 'line', 'pie', 'doughnut', 'radar', 'polarArea', 'bubble', 'scatter']).describe("Chart type"),
+      labels: z.array(z.union([z.string(), z.number()])).optional().describe("X-axis / segment labels"),
+      datasets: z.array(chartDataset).min(1).describe("Datasets to plot"),
+      options: z.record(z.any()).optional().describe("Chart.js options object (optional)"),
+      sessionId: z.string().optional().describe("Browser session ID (optional, default: attached session)")
+    },
+    async ({ chartId, selector, type, labels, datasets, options = {}, sessionId }, extra) => {
+      sessionId = resolveRenderSession(sessionId, extra);
+      console.log(`[Tool: render_chart] Received args:`, { chartId, selector, type, sessionId });
+      if (!sessionId) {
+        return {
+          content: [{ type: "text", text: "Error: Several browsers are connected. Pass a sessionId or call attach_browser_session first." }],
+          isError: true
+        };
+      }
 
-        // Notify listeners
-        while (interactionListeners.length > 0 && interactionQueue.length > 0) {
-          const listener = interactionListeners.shift();
-          const interaction = interactionQueue.shift();
-          listener(interaction);
+      const config = { type, data: { labels, datasets }, options };
+      const requestId = randomUUID();
+      const sent = broadcastToBrowser({ type: "RENDER_CHART", requestId, chartId, selector, config }, sessionId);
+      if (!sent) {
+        if (!canRenderHeadless(sessionId)) {
+          return {
+            content: [{ type: "text", text: `Warning: Browser session ${sessionId} is not connected.` }],
+            isError: true
+          };
         }
-      } else if (msg.type === 'DOM_UPDATED') {
-        console.log('Received DOM update ack:', msg.requestId);
-        if (pendingUpdates.has(msg.requestId)) {
-          const resolve = pendingUpdates.get(msg.requestId);
-          pendingUpdates.delete(msg.requestId);
-          resolve(msg);
+        // Nothing to draw on without a tab: check the container exists, then keep the config for the tab's replay
+        try {
+          headlessDomFor(sessionId).findTarget(selector);
+        } catch (e) {
+          return {
+            content: [{ type: "text", text: `Error: ${e.message}` }],
+            isError: true
+          };
         }
+        saveChart(sessionId, chartId, selector, config);
+        return {
+          content: [{ type: "text", text: `Chart "${chartId}" saved for ${selector}.${describeOfflineDelivery(sessionId)}` }]
+        };
       }
-    } catch (e) {
-      console.error('Error parsing WebSocket message:', e);
-    }
-  });
-
-  ws.on('error', (err) => {
-    console.error("WebSocket error:", err.message);
-  });
-});
 
-// Broadcast to browser
-function broadcastToBrowser(message, targetSessionId = null) {
-  if (targetSessionId) {
-    const ws = browserSockets.get(targetSessionId);
-    if (ws && ws.readyState === 1) {
-      ws.send(JSON.stringify(message));
-      return true;
-    }
-    return false;
-  }
+      try {
+        const ack = await waitForAck(requestId);
+        if (ack.type === 'DOM_UPDATE_FAILED') return renderFailureResult(ack);
 
-  // Broadcast to all if no target
-  let sentCount = 0;
-  for (const ws of browserSockets.values()) {
-    if (ws.readyState === 1) {
-      ws.send(JSON.stringify(message));
-      sentCount++;
+        saveChart(sessionId, chartId, selector, config);
+        return {
+          content: [{ type: "text", text: `Chart "${chartId}" rendered into ${selector}.` }]
+        };
+      } catch (e) {
+        return {
+          content: [{ type: "text", text: `Warning: Chart sent but verification failed: ${e.message}` }],
+          isError: true
+        };
+      }
     }
-  }
-  return sentCount > 0;
-}
-
-// Create a new MCP server instance with tools
-function createMcpServer() {
-  const server = new McpServer({
-    name: "imagine",
-    version: "1.0.0"
-  });
+  );
 
-  // Register tools
   server.tool(
-    "update_ui",
-    "Replaces the HTML inside a container. Use this to build the UI.",
+    "update_chart_data",
+    "Patch the data of a chart drawn with render_chart, in place. Datasets are matched by index, then by label; unmatched ones are added.",
     {
-      html: z.string().describe("The raw HTML string to inject."),
-      selector: z.string().optional().describe("CSS selector to update (default: #app)"),
-      sessionId: z.string().optional().describe("Target browser session ID (optional)")
+      chartId: z.string().describe("The chartId passed to render_chart"),
+      labels: z.array(z.union([z.string(), z.number()])).optional().describe("New labels (appended when append is true)"),
+      datasets: z.array(chartDataset.partial({ data: true }).extend({
+        index: z.number().int().min(0).optional().describe("Dataset position to patch")
+      })).optional().describe("Dataset patches"),
+      append: z.boolean().optional().describe("Append labels and data points instead of replacing them (default: false)"),
+      maxPoints: z.number().int().min(1).optional().describe("Keep only the newest N points, for rolling live charts"),
+      sessionId: z.string().optional().describe("Browser session ID (optional, default: attached session)")
     },
-    async ({ html, selector, sessionId }) => {
-      console.log(`[Tool: update_ui] Received args:`, { html, selector, sessionId });
-      const requestId = randomUUID();
-      const message = {
-        type: "UPDATE_DOM",
-        html: html,
-        selector: selector || "#app",
-        requestId: requestId
-      };
+    async ({ chartId, labels, datasets, append = false, maxPoints, sessionId }, extra) => {
+      sessionId = resolveRenderSession(sessionId, extra);
+      console.log(`[Tool: update_chart_data] Received args:`, { chartId, append, maxPoints, sessionId });
+      const chart = sessionCharts.get(sessionId)?.get(chartId);
+      if (!chart) {
+        return {
+          content: [{ type: "text", text: `Error: No chart "${chartId}" in this session. Call render_chart first.` }],
+          isError: true
+        };
+      }
 
-      const sent = broadcastToBrowser(message, sessionId);
+      const patch = { labels, datasets, append, maxPoints };
+      const requestId = randomUUID();
+      const sent = broadcastToBrowser({ type: "UPDATE_CHART_DATA", requestId, chartId, patch }, sessionId);
+      applyChartPatch(chart.config.data, patch);
+      persistSession(sessionId);
       if (!sent) {
         return {
-          content: [{ type: "text", text: "Warning: No browser connected. Open http://localhost:3000 first." }],
-          isError: true
+          content: [{ type: "text", text: `Chart data saved.${describeOfflineDelivery(sessionId)}` }]
         };
       }
 
-      // Wait for acknowledgement
       try {
-        const ack = await new Promise((resolve, reject) => {
-          const timeout = setTimeout(() => {
-            pendingUpdates.delete(requestId);
-            reject(new Error("Timeout waiting for browser acknowledgement"));
-          }, 5000);
-
-          pendingUpdates.set(requestId, (msg) => {
-            clearTimeout(timeout);
-            resolve(msg);
-          });
-        });
-
+        const ack = await waitForAck(requestId);
+        if (ack.type === 'DOM_UPDATE_FAILED') return renderFailureResult(ack);
         return {
-          content: [{ type: "text", text: `UI updated successfully. Actual content length: ${ack.htmlLength}` }]
+          content: [{ type: "text", text: `Chart "${chartId}" updated. Points per dataset: ${chart.config.data.datasets.map(d => d.data.length).join(', ')}` }]
         };
       } catch (e) {
         return {
-          content: [{ type: "text", text: `Warning: UI update sent but verification failed: ${e.message}` }],
+          content: [{ type: "text", text: `Warning: Chart update sent but verification failed: ${e.message}` }],
           isError: true
         };
       }
     }
   );
 
+  server.tool(
+    "render_qr_code",
+    "Generate a QR code for a URL or text. Renders it inside a container in the browser and/or returns the image so you can check it.",
+    {
+      text: z.string().min(1).max(2000).describe("URL or text to encode"),
+      selector: z.string().optional().describe("CSS selector of the container to render into (its content is replaced). Omit to only return the image."),
+      format: z.enum(['svg', 'png']).optional().describe("How the code is embedded in the page (default: svg)"),
+      size: z.number().int().min(64).max(1024).optional().describe("Width and height in pixels (default: 256)"),
+      errorCorrectionLevel: z.enum(['L', 'M', 'Q', 'H']).optional().describe("Error correction: L 7%, M 15%, Q 25%, H 30% of the code can be damaged (default: M)"),
+      returnImage: z.boolean().optional().describe("Also return the QR code as a PNG image (default: false, or true when no selector is given)"),
+      sessionId: z.string().optional().describe("Target browser session ID (optional, default: attached session)")
+    },
+    async ({ text, selector, format = "svg", size = 256, errorCorrectionLevel = "M", returnImage, sessionId }, extra) => {
+      sessionId = resolveRenderSession(sessionId, extra);
+      console.log(`[Tool: render_qr_code] Received args:`, { text, selector, format, size, errorCorrectionLevel, returnImage, sessionId });
+      const qrOptions = { errorCorrectionLevel, width: size, margin: 2 };
+      const content = [];
+
+      if (selector) {
+        let html;
+        try {
+          html = format === 'svg'
+            ? await QRCode.toString(text, { ...qrOptions, type: 'svg' })
+            : `<img src="${await QRCode.toDataURL(text, qrOptions)}" width="${size}" height="${size}" alt="QR code">`;
+        } catch (e) {
+          return {
+            content: [{ type: "text", text: `Error: Could not encode QR code: ${e.message}` }],
+            isError: true
+          };
+        }
+
+        let ack;
+        try {
+          ack = await sendDomRequest(sessionId, { type: "UPDATE_DOM", html, selector, childrenOnly: true, sanitize: resolveSanitizeMode() });
+        } catch (e) {
+          return {
+            content: [{ type: "text", text: `Warning: QR code sent but verification failed: ${e.message}` }],
+            isError: true
+          };
+        }
+        if (!ack) {
+          return {
+            content: [{ type: "text", text: sessionId ? `Warning: Browser session ${sessionId} is not connected.` : "Warning: No browser connected. Open http://localhost:3000 first." }],
+            isError: true
+          };
+        }
+        if (ack.type === 'DOM_UPDATE_FAILED') return renderFailureResult(ack);
+        content.push({ type: "text", text: `QR code (${format}, ${size}px, level ${errorCorrectionLevel}) rendered into ${selector}.${describeDelivery(sessionId, ack)}` });
+      }
+
+      if (returnImage ?? !selector) {
+        try {
+          const png = await QRCode.toBuffer(text, qrOptions);
+          content.push({ type: "image", data: png.toString('base64'), mimeType: "image/png" });
+        } catch (e) {
+          return {
+            content: [{ type: "text", text: `Error: Could not encode QR code: ${e.message}` }],
+            isError: true
+          };
+        }
+      }
+
+      return { content };
+    }
+  );
+
   server.tool(
     "log_thought",
     "Display a thinking process or status message to the user.",
     {
       message: z.string().describe("The message to display"),
-      sessionId: z.string().optional().describe("Target browser session ID (optional)")
+      sessionId: z.string().optional().describe("Target browser session ID (optional, default: attached session)")
     },
-    async ({ message, sessionId }) => {
+    async ({ message, sessionId }, extra) => {
+      sessionId = resolveBrowserSession(sessionId, extra);
       console.log(`[Tool: log_thought] Received args:`, { message, sessionId });
       const msg = {
         type: "LOG",
@@ -198,6 +2145,14 @@ function createMcpServer() {
           isError: true
         };
       }
+      for (const target of sessionId ? [sessionId] : browserSockets.keys()) {
+        recordThought(target, message);
+      }
+      if (sent === 'queued') {
+        return {
+          content: [{ type: "text", text: `Queued: browser session ${sessionId} is offline; the thought will be shown when it reconnects.` }]
+        };
+      }
 
       return {
         content: [{ type: "text", text: "Thought logged successfully" }]
@@ -207,35 +2162,70 @@ function createMcpServer() {
 
   server.tool(
     "get_next_interaction",
-    "Check if the user has interacted with the UI (clicks, inputs, etc). Returns the next interaction event or null if none.",
-    {},
-    async () => {
-      if (interactionQueue.length > 0) {
-        const interaction = interactionQueue.shift();
+    "Check if the user has interacted with the UI (clicks, inputs, etc). Returns the next interaction event or null if none. Clients that support resource subscriptions can subscribe to imagine://sessions/{sessionId}/interactions instead of polling.",
+    {
+      sessionId: z.string().optional().describe("Browser session ID to read interactions from (optional, default: attached session, else any)"),
+      action: z.string().optional().describe("Only return interactions whose data-action matches (optional)")
+    },
+    async ({ sessionId, action }, extra) => {
+      sessionId = resolveBrowserSession(sessionId, extra);
+      const interaction = dequeueInteraction(sessionId, action);
+      return {
+        content: [{ type: "text", text: JSON.stringify(interaction) }]
+      };
+    }
+  );
+
+  server.tool(
+    "configure_interaction_capture",
+    "Choose which user events the browser reports (click, input, change, submit, keydown, focus). Only the options you pass are changed.",
+    {
+      click: z.boolean().optional().describe("Report clicks"),
+      input: z.boolean().optional().describe("Report typing in inputs (debounced)"),
+      change: z.boolean().optional().describe("Report committed value changes"),
+      submit: z.boolean().optional().describe("Report form submissions with serialized form data"),
+      keydown: z.boolean().optional().describe("Report presses of the keys listed in keys"),
+      focus: z.boolean().optional().describe("Report focus changes"),
+      keys: z.array(z.string()).optional().describe("Key names reported by keydown (default: [\"Enter\"])"),
+      inputDebounceMs: z.number().int().min(0).max(10000).optional().describe("Debounce for input events in milliseconds (default: 400)"),
+      sessionId: z.string().optional().describe("Target browser session ID (optional, default: attached session)")
+    },
+    async ({ sessionId, ...config }, extra) => {
+      sessionId = resolveBrowserSession(sessionId, extra);
+      console.log(`[Tool: configure_interaction_capture] Received args:`, { ...config, sessionId });
+
+      const sent = broadcastToBrowser({ type: "CAPTURE_CONFIG", config }, sessionId);
+      if (!sent) {
         return {
-          content: [{ type: "text", text: JSON.stringify(interaction) }]
+          content: [{ type: "text", text: "Warning: No browser connected. Open http://localhost:3000 first." }],
+          isError: true
         };
       }
+
+      const delivery = sent === 'queued' ? ` Queued: browser session ${sessionId} is offline; it applies when the tab reconnects.` : '';
       return {
-        content: [{ type: "text", text: "null" }]
+        content: [{ type: "text", text: `Interaction capture updated: ${JSON.stringify(config)}.${delivery}` }]
       };
     }
   );
 
   server.tool(
     "wait_for_interaction",
-    "Wait for the user to interact with the UI. Blocks until an interaction occurs or timeout.",
+    "Wait for the user to interact with the UI. Blocks until an interaction occurs or timeout. Pass action to wait for a specific data-action and ignore other clicks.",
     {
-      timeout: z.number().optional().describe("Timeout in milliseconds (default: 30000)")
+      timeout: z.number().optional().describe(`Timeout in milliseconds (default: ${INTERACTION_WAIT_MS})`),
+      sessionId: z.string().optional().describe("Browser session ID to wait on (optional, default: attached session, else any)"),
+      action: z.string().optional().describe("Only return interactions whose data-action matches, e.g. \"submit-form\" (optional)")
     },
-    async ({ timeout = 30000 }) => {
-      console.log(`[Tool: wait_for_interaction] Waiting for interaction (timeout: ${timeout}ms)`);
+    async ({ timeout = INTERACTION_WAIT_MS, sessionId, action }, extra) => {
+      sessionId = resolveBrowserSession(sessionId, extra);
+      console.log(`[Tool: wait_for_interaction] Waiting for interaction (timeout: ${timeout}ms, session: ${sessionId || 'any'}, action: ${action || 'any'})`);
 
       // If already has interaction, return immediately
-      if (interactionQueue.length > 0) {
-        const interaction = interactionQueue.shift();
+      const queued = dequeueInteraction(sessionId, action);
+      if (queued) {
         return {
-          content: [{ type: "text", text: JSON.stringify(interaction) }]
+          content: [{ type: "text", text: JSON.stringify(queued) }]
         };
       }
 
@@ -243,49 +2233,173 @@ function createMcpServer() {
       return new Promise((resolve) => {
         let timer;
 
-        const listener = (interaction) => {
+        const removeListener = addInteractionListener(sessionId, action, (interaction) => {
           clearTimeout(timer);
           resolve({
             content: [{ type: "text", text: JSON.stringify(interaction) }]
           });
-        };
+        });
 
         timer = setTimeout(() => {
-          const index = interactionListeners.indexOf(listener);
-          if (index !== -1) {
-            interactionListeners.splice(index, 1);
-          }
+          removeListener();
           resolve({
             content: [{ type: "text", text: "null" }] // Timeout
           });
         }, timeout);
+      });
+    }
+  );
+
+  // Tool plugins; loadToolPlugins already turned away clashes with built-in tools
+  for (const plugin of plugins) {
+    server.tool(plugin.name, plugin.description, plugin.schema, async (args, extra) => {
+      console.log(`[Tool: ${plugin.name}] Received args:`, args);
+      try {
+        const result = await plugin.handler(args, pluginContext, extra);
+        return typeof result === 'string' ? { content: [{ type: "text", text: result }] } : result;
+      } catch (e) {
+        return {
+          content: [{ type: "text", text: `Error: ${e.message}` }],
+          isError: true
+        };
+      }
+    });
+  }
+
+  for (const prompt of prompts) {
+    const argsSchema = Object.fromEntries(prompt.arguments.map(arg => {
+      const schema = arg.description ? z.string().describe(arg.description) : z.string();
+      return [arg.name, arg.required ? schema : schema.optional()];
+    }));
+    server.prompt(prompt.name, prompt.description, argsSchema, async (args) => ({
+      messages: [{ role: "user", content: { type: "text", text: renderPrompt(prompt.template, args ?? {}) } }]
+    }));
+  }
+
+  // Read-only views of each browser session; reading never round-trips through the tab
+  const sessionTemplate = (resource, name, sessions = listedSessions) => new ResourceTemplate(`imagine://sessions/{sessionId}/${resource}`, {
+    list: async () => ({
+      resources: sessions().map(sessionId => ({ uri: sessionResourceUri(sessionId, resource), name: `${name} of ${sessionId}` }))
+    })
+  });
+  const requireHistory = (sessionId) => {
+    const history = uiHistory.get(sessionId);
+    if (!history) throw new McpError(ErrorCode.InvalidParams, `Session ${sessionId} has no rendered UI`);
+    return history;
+  };
+
+  server.resource(
+    "html",
+    sessionTemplate("html", "Current UI", () => [...uiHistory.keys()]),
+    { description: "The #app markup a browser session is currently showing (the current version in its history).", mimeType: "text/html" },
+    async (uri, { sessionId }) => {
+      sessionId = decodeURIComponent(sessionId);
+      const history = requireHistory(sessionId);
+      return { contents: [{ uri: uri.href, mimeType: "text/html", text: history.versions[history.index].html }] };
+    }
+  );
 
-        interactionListeners.push(listener);
+  server.resource(
+    "history",
+    sessionTemplate("history", "UI history", () => [...uiHistory.keys()]),
+    { description: "A browser session's UI versions without their markup. Each version's HTML is at imagine://sessions/{sessionId}/versions/{version}.", mimeType: "application/json" },
+    async (uri, { sessionId }) => {
+      sessionId = decodeURIComponent(sessionId);
+      requireHistory(sessionId);
+      const summary = historySummary(sessionId);
+      return jsonResource(uri, {
+        sessionId,
+        current: summary.current,
+        versions: summary.versions.map(v => ({ ...v, uri: sessionResourceUri(sessionId, `versions/${v.version}`) }))
       });
     }
   );
 
+  server.resource(
+    "version",
+    new ResourceTemplate("imagine://sessions/{sessionId}/versions/{version}", { list: undefined }),
+    { description: "The #app markup of one version in a browser session's UI history.", mimeType: "text/html" },
+    async (uri, { sessionId, version }) => {
+      sessionId = decodeURIComponent(sessionId);
+      const entry = requireHistory(sessionId).versions.find(v => v.version === Number(version));
+      if (!entry) throw new McpError(ErrorCode.InvalidParams, `Session ${sessionId} has no version ${version}`);
+      return { contents: [{ uri: uri.href, mimeType: "text/html", text: entry.html }] };
+    }
+  );
+
+  server.resource(
+    "thoughts",
+    sessionTemplate("thoughts", "Thought log"),
+    { description: `The last ${RECENT_THOUGHTS_MAX} log_thought messages shown in a browser session.`, mimeType: "application/json" },
+    async (uri, { sessionId }) => {
+      sessionId = decodeURIComponent(sessionId);
+      return jsonResource(uri, { sessionId, thoughts: thoughtLogs.get(sessionId) ?? [] });
+    }
+  );
+
+  server.resource(
+    "interactions",
+    sessionTemplate("interactions", "Interactions"),
+    {
+      description: "A browser session's user interactions: still-queued ones (what get_next_interaction would return) and the most recent ones. Subscribe to be notified of each new interaction.",
+      mimeType: "application/json"
+    },
+    async (uri, { sessionId }) => {
+      sessionId = decodeURIComponent(sessionId);
+      return jsonResource(uri, {
+        sessionId,
+        pending: interactionQueues.get(sessionId) ?? [],
+        recent: recentInteractions.get(sessionId) ?? []
+      });
+    }
+  );
+
+  server.resource(
+    "client",
+    sessionTemplate("client", "Browser client"),
+    { description: "Connection details of a browser session's tab: connected since, user agent, origin, attached MCP sessions.", mimeType: "application/json" },
+    async (uri, { sessionId }) => {
+      sessionId = decodeURIComponent(sessionId);
+      return jsonResource(uri, describeClient(sessionId) ?? { sessionId, connected: false });
+    }
+  );
+
+  server.resource(
+    "clients",
+    CLIENTS_URI,
+    { description: "Every connected browser tab and its connection details.", mimeType: "application/json" },
+    async (uri) => jsonResource(uri, { clients: [...browserSockets.keys()].map(describeClient) })
+  );
+
+  // resources/updated notifications for subscribed URIs; see notifyResourceUpdated
+  server.server.registerCapabilities({ resources: { subscribe: true } });
+  server.server.setRequestHandler(SubscribeRequestSchema, async ({ params }) => {
+    if (!resourceSubscribers.has(params.uri)) resourceSubscribers.set(params.uri, new Set());
+    resourceSubscribers.get(params.uri).add(server);
+    return {};
+  });
+  server.server.setRequestHandler(UnsubscribeRequestSchema, async ({ params }) => {
+    const subscribers = resourceSubscribers.get(params.uri);
+    subscribers?.delete(server);
+    if (subscribers?.size === 0) resourceSubscribers.delete(params.uri);
+    return {};
+  });
+  server.server.onclose = () => {
+    for (const [uri, subscribers] of resourceSubscribers) {
+      subscribers.delete(server);
+      if (subscribers.size === 0) resourceSubscribers.delete(uri);
+    }
+  };
+
   return server;
 }
 
 // MCP HTTP Endpoint - POST handler
+app.use('/mcp', mcpAuth);
+
 app.post('/mcp', async (req, res) => {
   console.log(`MCP POST from ${req.ip}`);
 
-  // Auth Check
-  if (API_KEY) {
-    const authHeader = req.headers['authorization'];
-    if (!authHeader || authHeader !== `Bearer ${API_KEY}`) {
-      console.log('MCP Auth failed');
-      res.status(401).json({
-        jsonrpc: '2.0',
-        error: { code: -32000, message: 'Unauthorized' },
-        id: null
-      });
-      return;
-    }
-  }
-
   try {
     const sessionId = req.headers['mcp-session-id'];
     let transport;
@@ -299,6 +2413,7 @@ app.post('/mcp', async (req, res) => {
         sessionIdGenerator: () => randomUUID(),
         onsessioninitialized: (id) => {
           transports[id] = transport;
+          if (req.auth) transportOwners.set(id, req.auth.clientId);
           console.log(`MCP session initialized: ${id}`);
         }
       });
@@ -306,6 +2421,8 @@ app.post('/mcp', async (req, res) => {
       transport.onclose = () => {
         if (transport.sessionId) {
           delete transports[transport.sessionId];
+          transportOwners.delete(transport.sessionId);
+          sessionBindings.delete(transport.sessionId);
           console.log(`MCP session closed: ${transport.sessionId}`);
         }
       };
@@ -365,8 +2482,13 @@ app.delete('/mcp', async (req, res) => {
   await transport.handleRequest(req, res);
 });
 
-// Health check endpoint
+// Health check endpoint. With auth enabled, the counts need a key with the "health" scope.
 app.get('/health', (req, res) => {
+  const key = AUTH_ENABLED ? findApiKey(req) : null;
+  if (AUTH_ENABLED && !(key && hasScope(key.scopes, 'health'))) {
+    res.json({ status: 'ok' });
+    return;
+  }
   res.json({
     status: 'ok',
     browsers: browserSockets.size,
@@ -374,6 +2496,8 @@ app.get('/health', (req, res) => {
   });
 });
 
+const toolPlugins = await loadToolPlugins();
+
 // Start server
 httpServer.listen(PORT, HOST, () => {
   console.log(`
@@ -3,6 +3,9 @@
  * 
  * REQUIRES: Server running at http://localhost:3000
  *   npm run server:mcp
+ *
+ * Run the server and the tests with WS_STRICT_SESSIONS=true to cover strict mode as well; the
+ * browsers below take server-assigned sessions, so every suite works in either mode.
  */
 
 import { createIsolatedClaudeWithMCP } from '../../scripts/create-isolated-claude.js';
@@ -14,29 +17,57 @@ import assert from 'node:assert';
 const PORT = 3000;
 const MCP_URL = `http://localhost:${PORT}/mcp`;
 const WS_URL = `ws://localhost:${PORT}`;
+const STRICT_SESSIONS = process.env.WS_STRICT_SESSIONS === 'true';
+
+function sendClick(browser, targetText) {
+    browser.ws.send(JSON.stringify({
+        type: 'USER_INTERACTION',
+        eventType: 'click',
+        targetId: 'btn-1',
+        targetTag: 'BUTTON',
+        targetText,
+        timestamp: Date.now()
+    }));
+}
 
-function connectBrowser(sessionId) {
+// The server assigns the sessionId (a tab may not pick its own in strict mode)
+function connectBrowser() {
     return new Promise((resolve, reject) => {
-        const ws = new WebSocket(`${WS_URL}?sessionId=${sessionId}`);
+        const ws = new WebSocket(WS_URL);
         const messages = [];
 
-        ws.on('open', () => resolve({ ws, messages }));
         ws.on('message', (data) => {
             const msg = JSON.parse(data.toString());
             messages.push(msg);
+            if (msg.type === 'SESSION_INIT') resolve({ ws, messages, sessionId: msg.sessionId });
+        });
+        ws.on('close', (code, reason) => reject(new Error(`Browser connection closed (${code} ${reason})`)));
+        ws.on('error', reject);
+    });
+}
+
+// Resolves with the SESSION_INIT message once the server accepts the tab, or the close code if it refuses it
+function openSession(query, headers = {}) {
+    return new Promise((resolve, reject) => {
+        const ws = new WebSocket(`${WS_URL}?${new URLSearchParams(query)}`, { headers });
+        ws.on('message', (data) => {
+            const msg = JSON.parse(data.toString());
+            if (msg.type === 'SESSION_INIT') resolve({ ws, init: msg });
         });
+        ws.on('close', (code, reason) => resolve({ code, reason: reason.toString() }));
         ws.on('error', reject);
     });
 }
 
 describe('E2E Session Isolation', async () => {
-    const sessionA = randomUUID();
-    const sessionB = randomUUID();
+    let sessionA, sessionB;
     let browserA, browserB;
 
     before(async () => {
-        browserA = await connectBrowser(sessionA);
-        browserB = await connectBrowser(sessionB);
+        browserA = await connectBrowser();
+        browserB = await connectBrowser();
+        sessionA = browserA.sessionId;
+        sessionB = browserB.sessionId;
     });
 
     after(() => {
@@ -75,4 +106,147 @@ describe('E2E Session Isolation', async () => {
         assert.ok(broadcastB, 'Session B should receive broadcast');
     });
 
+    test('Attached Session (attach_browser_session)', async () => {
+        await createIsolatedClaudeWithMCP(
+            `Call attach_browser_session with sessionId "${sessionA}". Then call log_thought with message "Hello Attached" (do not provide sessionId).`,
+            { mcpUrl: MCP_URL, model: 'sonnet' }
+        );
+
+        await new Promise(r => setTimeout(r, 1000));
+
+        const attachedA = browserA.messages.find(m => m.message === 'Hello Attached');
+        const attachedB = browserB.messages.find(m => m.message === 'Hello Attached');
+
+        assert.ok(attachedA, 'Attached session A should receive message');
+        assert.ok(!attachedB, 'Session B should NOT receive message for attached session A');
+    });
+
+    test('Attached Session (pairing code)', async () => {
+        const init = browserB.messages.find(m => m.type === 'SESSION_INIT');
+        assert.ok(init?.pairingCode, 'SESSION_INIT should carry a pairing code');
+
+        await createIsolatedClaudeWithMCP(
+            `Call attach_browser_session with pairingCode "${init.pairingCode}". Then call log_thought with message "Hello Paired" (do not provide sessionId).`,
+            { mcpUrl: MCP_URL, model: 'sonnet' }
+        );
+
+        await new Promise(r => setTimeout(r, 1000));
+
+        assert.ok(browserB.messages.find(m => m.message === 'Hello Paired'), 'Paired session B should receive message');
+        assert.ok(!browserA.messages.find(m => m.message === 'Hello Paired'), 'Session A should NOT receive message for paired session B');
+    });
+
+    test('Interaction Isolation (get_next_interaction)', async () => {
+        sendClick(browserA, 'Clicked In A');
+        sendClick(browserB, 'Clicked In B');
+        await new Promise(r => setTimeout(r, 500));
+
+        const result = await createIsolatedClaudeWithMCP(
+            `Call get_next_interaction with sessionId "${sessionB}" and tell me the targetText that was returned.`,
+            { mcpUrl: MCP_URL, model: 'sonnet' }
+        );
+
+        assert.ok(result.stdout.includes('Clicked In B'), 'Session B interaction should be returned');
+        assert.ok(!result.stdout.includes('Clicked In A'), 'Session A interaction should NOT leak into session B');
+    });
+
+    test('Interaction Isolation (wait_for_interaction)', async () => {
+        // Session A's click from the previous test is still queued; B's queue is now empty
+        setTimeout(() => sendClick(browserB, 'Late Click In B'), 3000);
+
+        const result = await createIsolatedClaudeWithMCP(
+            `Call wait_for_interaction with sessionId "${sessionB}" and timeout 60000, then tell me the targetText that was returned.`,
+            { mcpUrl: MCP_URL, model: 'sonnet' }
+        );
+
+        assert.ok(result.stdout.includes('Late Click In B'), 'Session B should wait for its own interaction');
+        assert.ok(!result.stdout.includes('Clicked In A'), 'Queued session A interaction should NOT be delivered to session B');
+    });
+
+});
+
+describe('E2E Session Tokens', async () => {
+    let sessionId, token;
+
+    before(async () => {
+        // Server-assigned, so this works in strict mode too
+        const tab = await openSession({});
+        assert.ok(tab.init, `Server should accept a tab without a sessionId (closed with ${tab.code})`);
+        ({ sessionId, token } = tab.init);
+        tab.ws.close();
+        await new Promise(r => setTimeout(r, 200));
+    });
+
+    test('Reconnect With Token', async () => {
+        const tab = await openSession({ sessionId, token });
+        assert.strictEqual(tab.init?.sessionId, sessionId, 'Tab with a valid token should get its session back');
+        assert.ok(tab.init.token, 'SESSION_INIT should carry a fresh token');
+        tab.ws.close();
+    });
+
+    test('Known Session Without Token', async () => {
+        const tab = await openSession({ sessionId });
+        assert.strictEqual(tab.code, 4401);
+        assert.strictEqual(tab.reason, STRICT_SESSIONS ? 'Unknown session' : 'Session token required');
+    });
+
+    test('Tampered Token', async () => {
+        const [expires, signature] = token.split('.');
+        const flipped = signature.slice(0, -1) + (signature.endsWith('A') ? 'B' : 'A');
+        const tab = await openSession({ sessionId, token: `${expires}.${flipped}` });
+        assert.strictEqual(tab.code, 4401);
+        assert.strictEqual(tab.reason, 'Invalid or expired session token');
+    });
+
+    test('Expired Token', async () => {
+        const [, signature] = token.split('.');
+        const tab = await openSession({ sessionId, token: `${Date.now() - 1000}.${signature}` });
+        assert.strictEqual(tab.code, 4401);
+        assert.strictEqual(tab.reason, 'Invalid or expired session token');
+    });
+
+    test('Token For Another Session', async () => {
+        const other = await openSession({});
+        other.ws.close();
+        const tab = await openSession({ sessionId: other.init.sessionId, token });
+        assert.strictEqual(tab.code, 4401, "One session's token should not open another session");
+    });
+
+    test('Stale Token For An Unused Session', async () => {
+        // E.g. a tab holding a token signed before the server's secret changed
+        const requested = randomUUID();
+        const tab = await openSession({ sessionId: requested, token });
+        if (STRICT_SESSIONS) {
+            assert.strictEqual(tab.code, 4401);
+            assert.strictEqual(tab.reason, 'Invalid or expired session token');
+        } else {
+            assert.strictEqual(tab.init?.sessionId, requested, 'A bad token should count as none for a session nobody has used');
+            tab.ws.close();
+        }
+    });
+
+    test('Unused Session Without Token', { skip: STRICT_SESSIONS && 'strict mode' }, async () => {
+        const requested = randomUUID();
+        const tab = await openSession({ sessionId: requested });
+        assert.strictEqual(tab.init?.sessionId, requested, 'Tab should be able to start a session nobody has used');
+        tab.ws.close();
+    });
+
+    test('Strict Mode Rejects Self-Chosen Session', { skip: !STRICT_SESSIONS && 'WS_STRICT_SESSIONS is not set' }, async () => {
+        const tab = await openSession({ sessionId: randomUUID() });
+        assert.strictEqual(tab.code, 4401);
+        assert.strictEqual(tab.reason, 'Unknown session');
+    });
+
+    test('Foreign Origin', async () => {
+        const tab = await openSession({ sessionId, token }, { Origin: 'http://evil.example' });
+        assert.strictEqual(tab.code, 4403);
+        assert.strictEqual(tab.reason, 'Origin not allowed');
+    });
+
+    test('Same Origin', { skip: process.env.WS_ALLOWED_ORIGINS && 'WS_ALLOWED_ORIGINS is set' }, async () => {
+        const tab = await openSession({ sessionId, token }, { Origin: `http://localhost:${PORT}` });
+        assert.strictEqual(tab.init?.sessionId, sessionId, 'The UI served by this server should be allowed');
+        tab.ws.close();
+    });
 });
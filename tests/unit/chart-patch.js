@@ -0,0 +1,79 @@
+/**
+ * Test Chart Data Patches
+ *
+ * Runs without a server.
+ *   npm run test:unit
+ */
+
+import { applyChartPatch } from '../../src/chart-patch.js';
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+
+function chartData() {
+    return {
+        labels: ['Jan', 'Feb'],
+        datasets: [
+            { label: 'Sales', data: [1, 2], borderColor: 'red' },
+            { label: 'Costs', data: [3, 4] }
+        ]
+    };
+}
+
+describe('applyChartPatch', () => {
+    test('Replaces labels and data', () => {
+        const data = chartData();
+        applyChartPatch(data, { labels: ['Mar'], datasets: [{ index: 0, data: [9] }] });
+        assert.deepStrictEqual(data.labels, ['Mar']);
+        assert.deepStrictEqual(data.datasets[0].data, [9]);
+        assert.deepStrictEqual(data.datasets[1].data, [3, 4], 'Datasets not in the patch should be left alone');
+    });
+
+    test('Appends labels and data', () => {
+        const data = chartData();
+        applyChartPatch(data, { labels: ['Mar'], datasets: [{ index: 1, data: [5] }], append: true });
+        assert.deepStrictEqual(data.labels, ['Jan', 'Feb', 'Mar']);
+        assert.deepStrictEqual(data.datasets[1].data, [3, 4, 5]);
+    });
+
+    test('Appends labels to a chart that had none', () => {
+        const data = { datasets: [{ data: [] }] };
+        applyChartPatch(data, { labels: ['a'], append: true });
+        assert.deepStrictEqual(data.labels, ['a']);
+    });
+
+    test('Matches datasets by label', () => {
+        const data = chartData();
+        applyChartPatch(data, { datasets: [{ label: 'Costs', data: [7, 8] }] });
+        assert.deepStrictEqual(data.datasets[1].data, [7, 8]);
+        assert.strictEqual(data.datasets.length, 2);
+    });
+
+    test('Index wins over label', () => {
+        const data = chartData();
+        applyChartPatch(data, { datasets: [{ index: 0, label: 'Costs', data: [0] }] });
+        assert.deepStrictEqual(data.datasets[0], { label: 'Costs', data: [0], borderColor: 'red' });
+        assert.deepStrictEqual(data.datasets[1].data, [3, 4]);
+    });
+
+    test('Adds datasets that match nothing', () => {
+        const data = chartData();
+        applyChartPatch(data, { datasets: [{ label: 'Profit', data: [1] }, { data: [2] }], append: true });
+        assert.strictEqual(data.datasets.length, 4);
+        assert.deepStrictEqual(data.datasets[2], { label: 'Profit', data: [1] });
+        assert.deepStrictEqual(data.datasets[3], { data: [2] });
+    });
+
+    test('Merges styling without touching data', () => {
+        const data = chartData();
+        applyChartPatch(data, { datasets: [{ index: 0, borderColor: 'blue', fill: true }] });
+        assert.deepStrictEqual(data.datasets[0], { label: 'Sales', data: [1, 2], borderColor: 'blue', fill: true });
+    });
+
+    test('maxPoints keeps the newest points', () => {
+        const data = chartData();
+        applyChartPatch(data, { labels: ['Mar', 'Apr'], datasets: [{ index: 0, data: [3, 4] }], append: true, maxPoints: 3 });
+        assert.deepStrictEqual(data.labels, ['Feb', 'Mar', 'Apr']);
+        assert.deepStrictEqual(data.datasets[0].data, [2, 3, 4]);
+        assert.deepStrictEqual(data.datasets[1].data, [3, 4], 'Shorter datasets are kept whole');
+    });
+});
@@ -0,0 +1,145 @@
+/**
+ * Test Config Loading
+ *
+ * Runs without a server: loads config files from temporary directories.
+ *   npm run test:config
+ */
+
+import { loadConfig } from '../../src/config.js';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { test, describe, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert';
+
+const startDir = process.cwd();
+let tmpDir;
+
+function writeFile(name, content) {
+    const file = path.join(tmpDir, name);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+    return file;
+}
+
+describe('Config Loading', () => {
+    before(() => {
+        tmpDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'imagine-config-')));
+    });
+
+    beforeEach(() => {
+        // Each test gets an empty working directory
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+        fs.mkdirSync(tmpDir);
+        process.chdir(tmpDir);
+    });
+
+    after(() => {
+        process.chdir(startDir);
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('Defaults without a config file', async () => {
+        const config = await loadConfig([], {});
+        assert.strictEqual(config.file, null);
+        assert.strictEqual(config.server.port, 3000);
+        assert.strictEqual(config.sanitizeMode, 'allow-inline-styles');
+    });
+
+    test('Discovers imagine.config.json in the working directory', async () => {
+        const file = writeFile('imagine.config.json', { server: { port: 4100 } });
+        const config = await loadConfig([], {});
+        assert.strictEqual(config.file, file);
+        assert.strictEqual(config.server.port, 4100);
+    });
+
+    test('Prefers imagine.config.js over imagine.config.json', async () => {
+        writeFile('imagine.config.json', { server: { port: 4100 } });
+        const file = writeFile('imagine.config.js', 'export default { server: { port: 4200 } };');
+        const config = await loadConfig([], {});
+        assert.strictEqual(config.file, file);
+        assert.strictEqual(config.server.port, 4200);
+    });
+
+    test('Rejects a JS config without a default export object', async () => {
+        // A new file name: the module loader caches imagine.config.js from the test above
+        const file = writeFile('number.config.js', 'export default 42;');
+        await assert.rejects(loadConfig(['-c', file], {}), /must export a settings object as default/);
+    });
+
+    test('--config and -c load the given file instead', async () => {
+        writeFile('imagine.config.json', { server: { port: 4100 } });
+        const file = writeFile('other/custom.json', { server: { port: 4300 } });
+
+        const long = await loadConfig(['--config', file], {});
+        assert.strictEqual(long.file, file);
+        assert.strictEqual(long.server.port, 4300);
+
+        const short = await loadConfig(['-c', 'other/custom.json'], {});
+        assert.strictEqual(short.file, file);
+    });
+
+    test('--config with a missing file fails', async () => {
+        await assert.rejects(loadConfig(['--config', 'missing.json'], {}), /Config file .*missing\.json not found/);
+    });
+
+    test('Unknown command-line options are rejected', async () => {
+        await assert.rejects(loadConfig(['--port', '80'], {}), /Unknown option/);
+    });
+
+    test('Environment variables override the config file', async () => {
+        writeFile('imagine.config.json', {
+            server: { port: 4100, host: '0.0.0.0' },
+            tools: { disabled: ['export_ui'] }
+        });
+        const config = await loadConfig([], { PORT: '4400', DISABLED_TOOLS: 'query_dom, render_qr_code' });
+        assert.strictEqual(config.server.port, 4400);
+        assert.strictEqual(config.server.host, '0.0.0.0', 'Settings without an env var should be kept');
+        assert.deepStrictEqual(config.tools.disabled, ['query_dom', 'render_qr_code']);
+    });
+
+    test('Relative paths resolve from the config file directory', async () => {
+        const keysFile = writeFile('conf/keys.json', { keys: [] });
+        const file = writeFile('conf/imagine.config.json', {
+            auth: { keysFile: './keys.json' },
+            paths: { snapshotDir: 'snapshots' },
+            tools: { plugins: ['./plugins/a.js', 'some-package'] }
+        });
+        const config = await loadConfig(['-c', file], {});
+        assert.strictEqual(config.auth.keysFile, keysFile);
+        assert.strictEqual(config.paths.snapshotDir, path.join(tmpDir, 'conf', 'snapshots'));
+        assert.deepStrictEqual(config.tools.plugins, [path.join(tmpDir, 'conf', 'plugins', 'a.js'), 'some-package']);
+    });
+
+    test('Relative paths from env vars resolve from the working directory', async () => {
+        const file = writeFile('conf/imagine.config.json', { paths: { snapshotDir: 'snapshots' } });
+        const config = await loadConfig(['-c', file], { SNAPSHOT_DIR: 'env-snapshots', TOOL_PLUGINS: './plugins/b.js' });
+        assert.strictEqual(config.paths.snapshotDir, path.join(tmpDir, 'env-snapshots'));
+        assert.deepStrictEqual(config.tools.plugins, [path.join(tmpDir, 'plugins', 'b.js')]);
+    });
+
+    test('Unknown settings are rejected', async () => {
+        const file = writeFile('imagine.config.json', { server: { prot: 4100 }, extra: true });
+        await assert.rejects(loadConfig([], {}), (e) => {
+            assert.ok(e.message.startsWith(`Invalid configuration in ${file}:`));
+            assert.match(e.message, /server: Unrecognized key\(s\) in object: 'prot'/);
+            assert.match(e.message, /\(root\): Unrecognized key\(s\) in object: 'extra'/);
+            return true;
+        });
+    });
+
+    test('Invalid values name the env var they came from', async () => {
+        writeFile('imagine.config.json', { sanitizeMode: 'loose' });
+        await assert.rejects(loadConfig([], { PORT: 'eighty' }), (e) => {
+            assert.match(e.message, /server\.port \(from PORT\): /);
+            assert.match(e.message, /sanitizeMode: /);
+            assert.doesNotMatch(e.message, /sanitizeMode \(from/);
+            return true;
+        });
+    });
+
+    test('A missing keys file is rejected', async () => {
+        writeFile('imagine.config.json', { auth: { keysFile: 'keys.json' } });
+        await assert.rejects(loadConfig([], {}), /auth\.keysFile: File not found/);
+    });
+});
@@ -0,0 +1,151 @@
+/**
+ * Test the Server-Side DOM
+ *
+ * Runs without a server: HeadlessDom is what update_ui and query_dom render into when
+ * no browser tab is connected.
+ *   npm run test:unit
+ */
+
+import { HeadlessDom } from '../../src/headless-dom.js';
+import { test, describe, afterEach } from 'node:test';
+import assert from 'node:assert';
+
+let dom;
+
+describe('HeadlessDom', () => {
+    afterEach(() => {
+        dom?.close();
+        dom = null;
+    });
+
+    test('Starts from the given markup and windows', () => {
+        dom = new HeadlessDom('<p id="hello">Hi</p>', [{ id: 'w1', html: '<b>Window</b>' }]);
+        assert.strictEqual(dom.app.innerHTML, '<p id="hello">Hi</p>');
+        assert.deepStrictEqual(dom.windowSnapshots(), { w1: '<b>Window</b>' });
+    });
+
+    test('Updates #app and answers like the browser', () => {
+        dom = new HeadlessDom();
+        const ack = dom.update({ selector: '#app', html: '<h1>Title</h1>', sanitize: 'strict' });
+        assert.strictEqual(ack.type, 'DOM_UPDATED');
+        assert.strictEqual(ack.snapshot, '<h1>Title</h1>');
+        assert.strictEqual(ack.htmlLength, ack.snapshot.length);
+        assert.strictEqual(ack.sanitize, 'strict');
+        assert.deepStrictEqual(ack.removed, []);
+        assert.deepStrictEqual(ack.windows, {});
+    });
+
+    test('Morphs in place, keeping unchanged elements', () => {
+        dom = new HeadlessDom('<ul id="list"><li id="a">A</li></ul>');
+        const item = dom.window.document.getElementById('a');
+        dom.update({ selector: '#app', html: '<ul id="list"><li id="a">A</li><li id="b">B</li></ul>', sanitize: 'strict' });
+        assert.ok(item.isConnected, 'The existing <li> should be reused, not recreated');
+        assert.strictEqual(dom.app.querySelectorAll('li').length, 2);
+    });
+
+    test('Replaces a selected element, or only its children when asked', () => {
+        dom = new HeadlessDom('<div id="box" class="old"><span>1</span></div>');
+        dom.update({ selector: '#box', html: '<div id="box" class="new">2</div>', sanitize: 'strict' });
+        assert.strictEqual(dom.app.innerHTML, '<div id="box" class="new">2</div>');
+
+        dom.update({ selector: '#box', html: '<em>3</em>', sanitize: 'strict', childrenOnly: true });
+        assert.strictEqual(dom.app.innerHTML, '<div id="box" class="new"><em>3</em></div>');
+    });
+
+    test('Reports a missing target with the ids it has', () => {
+        dom = new HeadlessDom('<div id="one"></div>', [{ id: 'w1', html: '' }]);
+        const ack = dom.update({ selector: '#missing', html: '<p>x</p>', sanitize: 'strict' });
+        assert.strictEqual(ack.type, 'DOM_UPDATE_FAILED');
+        assert.match(ack.error, /No element matches selector "#missing"/);
+        assert.deepStrictEqual(ack.availableIds, ['#one', '#window-w1']);
+        assert.strictEqual(dom.app.innerHTML, '<div id="one"></div>', 'A failed update should change nothing');
+    });
+
+    test('Rejects replacing an element with text only', () => {
+        dom = new HeadlessDom('<div id="box"></div>');
+        const ack = dom.update({ selector: '#box', html: 'just text', sanitize: 'strict' });
+        assert.strictEqual(ack.type, 'DOM_UPDATE_FAILED');
+        assert.match(ack.error, /no element to replace the target with/);
+    });
+
+    test('Sanitizes by mode', () => {
+        dom = new HeadlessDom();
+        const html = '<p style="color:red" onclick="x()">Hi</p><style>p{}</style><script>x()</script>';
+
+        const strict = dom.update({ selector: '#app', html, sanitize: 'strict' });
+        assert.strictEqual(strict.snapshot, '<p>Hi</p>');
+        assert.deepStrictEqual([...strict.removed].sort(), ['<script>', '<style>', 'onclick on <p>', 'style on <p>']);
+
+        const styles = dom.update({ selector: '#app', html, sanitize: 'allow-inline-styles' });
+        assert.match(styles.snapshot, /style="color:red"/);
+        assert.doesNotMatch(styles.snapshot, /onclick|<script/);
+
+        const trusted = dom.update({ selector: '#app', html: '<p onclick="x()">Hi</p>', sanitize: 'trusted' });
+        assert.strictEqual(trusted.snapshot, '<p onclick="x()">Hi</p>');
+        assert.deepStrictEqual(trusted.removed, []);
+    });
+
+    test('Unknown sanitize modes fall back to strict', () => {
+        dom = new HeadlessDom();
+        const ack = dom.update({ selector: '#app', html: '<p style="color:red">Hi</p>', sanitize: 'loose' });
+        assert.strictEqual(ack.sanitize, 'strict');
+        assert.strictEqual(ack.snapshot, '<p>Hi</p>');
+    });
+
+    test('Renders into windows and follows the layout', () => {
+        dom = new HeadlessDom('', [{ id: 'w1', html: '' }]);
+        const ack = dom.update({ selector: '#window-w1', html: '<p>In a window</p>', sanitize: 'strict' });
+        assert.strictEqual(ack.type, 'DOM_UPDATED');
+        assert.deepStrictEqual(ack.windows, { w1: '<p>In a window</p>' });
+
+        // w1 was closed and w2 opened since
+        dom.syncWindows([{ id: 'w2', html: '<i>new</i>' }]);
+        assert.deepStrictEqual(dom.windowSnapshots(), { w2: '<i>new</i>' });
+    });
+
+    test('Keeps window content it already has when syncing', () => {
+        dom = new HeadlessDom('', [{ id: 'w1', html: '' }]);
+        dom.update({ selector: '#window-w1', html: '<p>Latest</p>', sanitize: 'strict' });
+        dom.syncWindows([{ id: 'w1', html: '<p>Stale copy</p>' }]);
+        assert.deepStrictEqual(dom.windowSnapshots(), { w1: '<p>Latest</p>' });
+    });
+
+    test('Queries elements, attributes and form values', () => {
+        dom = new HeadlessDom(`
+            <form id="f">
+                <input name="name" value="Ada">
+                <input type="checkbox" name="agree" checked>
+                <select name="color"><option value="red">Red</option><option value="blue" selected>Blue</option></select>
+                <textarea name="notes">Hello</textarea>
+            </form>
+            <p class="note">One</p><p class="note">Two</p>`);
+
+        const form = dom.query({ selector: '#f', limit: 10, maxLength: 20000 });
+        assert.strictEqual(form.type, 'DOM_QUERY_RESULT');
+        assert.strictEqual(form.matchCount, 1);
+        assert.strictEqual(form.elements[0].tag, 'FORM');
+        assert.deepStrictEqual(form.elements[0].attributes, { id: 'f' });
+        assert.deepStrictEqual(form.elements[0].controls.map(c => [c.name, c.value]), [
+            ['name', 'Ada'], ['agree', true], ['color', 'blue'], ['notes', 'Hello']
+        ]);
+
+        const notes = dom.query({ selector: '.note', limit: 1, maxLength: 20000 });
+        assert.strictEqual(notes.matchCount, 2);
+        assert.strictEqual(notes.elements.length, 1, 'limit caps the elements returned');
+        assert.strictEqual(notes.elements[0].text, 'One');
+    });
+
+    test('Truncates long markup', () => {
+        dom = new HeadlessDom(`<p id="long">${'x'.repeat(300)}</p>`);
+        const { elements } = dom.query({ selector: '#long', limit: 1, maxLength: 100 });
+        assert.match(elements[0].text, /^x{100}\.\.\. \[truncated 200 chars\]$/);
+        assert.match(elements[0].outerHTML, /\[truncated \d+ chars\]$/);
+    });
+
+    test('Reports invalid selectors', () => {
+        dom = new HeadlessDom();
+        const result = dom.query({ selector: '#', limit: 10, maxLength: 100 });
+        assert.strictEqual(result.type, 'DOM_QUERY_RESULT');
+        assert.ok(result.error, 'An invalid selector should come back as an error');
+    });
+});
@@ -0,0 +1,13 @@
+// Browser half of highlight-element.js
+export default function (imagine) {
+  imagine.on('HIGHLIGHT_ELEMENT', ({ requestId, selector, color, durationMs }) => {
+    const matches = [...document.querySelectorAll(selector)];
+    for (const el of matches) {
+      const previous = el.style.outline;
+      el.style.outline = `3px solid ${color}`;
+      el.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+      setTimeout(() => { el.style.outline = previous; }, durationMs);
+    }
+    imagine.reply(requestId, { matchCount: matches.length });
+  });
+}
@@ -0,0 +1,31 @@
+// highlight-element.js - Example tool plugin
+//
+// Outlines an element in the browser for a few seconds to draw the user's attention to it.
+// Load it with TOOL_PLUGINS=./tools/examples/highlight-element.js, or copy it into tools/.
+//
+import { z } from 'zod';
+
+export default {
+  name: 'highlight_element',
+  description: 'Briefly outline an element in the browser to point the user at it.',
+  schema: {
+    selector: z.string().describe('CSS selector of the element(s) to highlight'),
+    color: z.string().optional().describe('Outline color (default: #f59e0b)'),
+    durationMs: z.number().int().min(500).max(10000).optional().describe('How long the outline stays (default: 3000)'),
+    sessionId: z.string().optional().describe('Target browser session ID (optional, default: attached session)')
+  },
+  browser: './highlight-element.browser.js',
+
+  async handler({ selector, color = '#f59e0b', durationMs = 3000, sessionId }, context, extra) {
+    sessionId = context.resolveSingleSession(sessionId, extra);
+    if (!sessionId) {
+      throw new Error(context.connectedSessions().length === 0
+        ? 'No browser connected'
+        : 'Several browsers are connected. Pass a sessionId or call attach_browser_session first.');
+    }
+
+    const result = await context.request(sessionId, { type: 'HIGHLIGHT_ELEMENT', selector, color, durationMs });
+    if (result.error) throw new Error(result.error);
+    return `Highlighted ${result.matchCount} element(s) matching "${selector}"`;
+  }
+};